@@ -67,10 +67,17 @@ const debugLogger = {
 
 // Constants
 const NEW_TAB_WINDOW_MS = 5000; // Increased to 5 seconds to handle redirects
-const TICKET_ROUTE = /^https?:\/\/([^.]+)\.zendesk\.com\/agent\/(tickets|views)\/(\d+)/;
-const HASH_TICKET_ROUTE = /^https?:\/\/([^.]+)\.zendesk\.com\/agent\/#\/(tickets|views)\/(\d+)/;
-const ZENDESK_DOMAIN = 'nexthink.zendesk.com';
-const TEAMS_SAFEURL = /^https?:\/\/statics\.teams\.cdn\.office\.net\/evergreen-assets\/safelinks/;
+const ONGOING_NAVIGATION_TIMEOUT_MS = 5000; // Failsafe for stuck navigation keys
+// Zendesk route classification. Paths are matched after folding the legacy
+// hash form (/agent/#/tickets/1) into a plain path (/agent/tickets/1).
+const ZENDESK_HOST = /^([^.]+)\.zendesk\.com$/i;
+const TICKET_PATH = /^\/(?:agent\/)?(tickets|twickets|requests|hc\/(?:[a-z]{2}(?:-[a-z]{2,4})?\/)?requests)\/(\d+)(?:\/|$)/i;
+const VIEW_PATH = /^\/agent\/(views|filters)\/(\d+)(?:\/|$)/i;
+const RESTRICTED_PATH = /^\/(?:agent\/(?:chat|talk|voice|admin\/voice)(?:\/|$)|(?:agent\/)?tickets\/\d+\/print)/i;
+// Zendesk instances used until the user configures their own in the popup.
+// customDomain is an optional host-mapped domain (e.g. support.ourcompany.com).
+const DEFAULT_ZENDESK_INSTANCES = [{ subdomain: 'nexthink', customDomain: '' }];
+const MAX_REDIRECT_DEPTH = 5; // Nested wrappers, e.g. Outlook safelink -> Google redirect -> Zendesk
 
 // Storage helpers
 const storage = {
@@ -90,14 +97,43 @@ const storage = {
   async getAllSettings() {
     const defaults = {
       highlightEnabled: true,
-      protectDomains: ['nexthink.zendesk.com'],
-      refreshRules: [],
+      protectDomains: null, // Until first edited, the hosts of the configured Zendesk instances
+      zendeskInstances: DEFAULT_ZENDESK_INSTANCES,
+      protectRules: [], // [{ id, domain, path, dirtyOnly, titlePattern }], checked by protectClose.js at unload time
+      protectDirtyOnly: true, // Protected domains only prompt while a field has unsaved edits
+      draftExpiryDays: 7, // Rescued drafts older than this are dropped
+      protectBypassMinutes: 10, // How long "allow closing" overrides last
+      refreshRules: [], // [{ id, match: 'domain'|'prefix'|'glob'|'regex', pattern, interval, strategy: 'reload'|'bypassCache'|'soft', softSelector, watchSelector, notifyOnChange, schedule, staggerSeconds, jitterSeconds, ... }]; legacy rules are { domain, interval }
+      refreshPaused: false, // Global pause for all refresh rules
+      refreshPausedUntil: 0, // Snooze: no refreshes before this timestamp
+      refreshMaxPerDomain: 2, // Tabs on one host reloading at the same time
       urlDetection: 'ticketUrls',
-      dupAuto: false,
+      reuseRules: [], // [{ id, name, pattern, canonical, target, targetPattern }]
+      dupAuto: false, // Focus the open copy instead of letting a new tab duplicate it
+      dupAutoAllow: [], // Domains where duplicates are always allowed
+      dupAutoDeny: [], // If set, duplicates are only prevented on these domains
+      dupStrategy: 'hostname', // 'hostname'|'originPath'|'fullUrl'|'custom': what makes two tabs duplicates
+      dupCustomPattern: '', // custom strategy: regex run on the normalised URL, its capture groups form the key
+      dupNormalize: { stripTracking: true, ignoreHash: true, caseFold: false, zendeskTickets: true },
+      maxAgentTabs: 1, // Agent tabs per subdomain that ticket bursts are spread across
       noReloadNavigation: true // Default to ENABLED for testing
     };
     
     const stored = await chrome.storage.sync.get(defaults);
+    // Persisted so protectClose.js, which reads storage directly, sees the same list
+    if (!Array.isArray(stored.protectDomains)) {
+      stored.protectDomains = (stored.zendeskInstances || []).flatMap(zendeskInstanceHosts);
+      await chrome.storage.sync.set({ protectDomains: stored.protectDomains });
+    }
+
+    // Timers, alarms and history are keyed by rule id. Legacy rules have none;
+    // derive it from the position so concurrent readers agree, then persist it
+    if (stored.refreshRules.some(rule => !rule.id)) {
+      stored.refreshRules = stored.refreshRules.map((rule, idx) =>
+        rule.id ? rule : { ...rule, id: `legacy-${idx}-${rule.domain || rule.pattern || ''}` }
+      );
+      await chrome.storage.sync.set({ refreshRules: stored.refreshRules });
+    }
     return stored;
   },
   
@@ -110,28 +146,165 @@ const storage = {
   }
 };
 
+// Session persistence - Chrome suspends the MV3 service worker when idle, which
+// wipes everything in memory. The tab-tracking collections below write through
+// to chrome.storage.session and are rehydrated when the worker wakes up.
+const TAB_STATE_KEY = 'tabTrackingState';
+const TAB_STATE_PERSIST_DELAY_MS = 50;
+let tabStatePersistTimer = null;
+
+class PersistedMap extends Map {
+  set(key, value) {
+    super.set(key, value);
+    persistTabState();
+    return this;
+  }
+  delete(key) {
+    const deleted = super.delete(key);
+    if (deleted) persistTabState();
+    return deleted;
+  }
+}
+
+class PersistedSet extends Set {
+  add(value) {
+    super.add(value);
+    persistTabState();
+    return this;
+  }
+  delete(value) {
+    const deleted = super.delete(value);
+    if (deleted) persistTabState();
+    return deleted;
+  }
+}
+
 // Tab tracking
-const recentNewTabs = new Map();
-const navigationTabs = new Set(); // Track tabs created for navigation
+const recentNewTabs = new PersistedMap();
+const navigationTabs = new PersistedSet(); // Track tabs created for navigation
 
-// Refresh timers storage
+// Sub-minute refresh timers (per worker; chrome.alarms is the persistent backstop)
 const refreshTimers = new Map();
+// Rules whose refresh is running; a run can take a while (stagger, load and
+// watch waits) and must not overlap the backstop alarm or a catch-up
+const refreshInFlight = new Set();
 
 // Track ongoing navigation attempts to prevent loops
-const ongoingNavigations = new Set();
+const ongoingNavigations = new PersistedSet();
+
+// New tabs whose reuse decision has already been made: tabId -> { phase, at }.
+// The decision normally happens at onBeforeNavigate/onCreatedNavigationTarget;
+// onCompleted is only a fallback for navigations the early phases missed.
+const decidedTabs = new PersistedMap();
+
+// Open tabs on protected domains: tabId -> { url, title, windowId, index,
+// pinned, scrollX, scrollY, at }. Kept current so a tab-strip close (which
+// beforeunload can't stop) can still be undone.
+const protectedTabs = new PersistedMap();
+
+// What each tab's content script last reported about close protection:
+// tabId -> { reportedAt, installed, armed, applies, dirtyFields }. installed is
+// false until the page has had the user gesture Chrome requires; applies is
+// whether the rule conditions (path, title, unsaved edits) hold right now. Cleared when a new
+// document commits (in-page route changes keep the same content script).
+const protectCoverage = new PersistedMap();
+
+// Tabs the extension closes itself (reused duplicates); not offered for restore
+const extensionClosedTabs = new Set();
+
+// Coalesce bursts of mutations into one storage write
+function persistTabState() {
+  clearTimeout(tabStatePersistTimer);
+  tabStatePersistTimer = setTimeout(async () => {
+    try {
+      await chrome.storage.session.set({
+        [TAB_STATE_KEY]: {
+          savedAt: Date.now(),
+          recentNewTabs: [...recentNewTabs.entries()],
+          navigationTabs: [...navigationTabs],
+          ongoingNavigations: [...ongoingNavigations],
+          decidedTabs: [...decidedTabs.entries()],
+          protectedTabs: [...protectedTabs.entries()],
+          protectCoverage: [...protectCoverage.entries()]
+        }
+      });
+    } catch (e) {
+      debugLogger.error('Failed to persist tab state:', e);
+    }
+  }, TAB_STATE_PERSIST_DELAY_MS);
+}
+
+// Merge the persisted state back in. Entries recorded by events that woke the
+// worker are newer than the stored ones, so they are never overwritten.
+async function hydrateTabState() {
+  try {
+    const stored = (await chrome.storage.session.get(TAB_STATE_KEY))[TAB_STATE_KEY];
+    if (!stored) return;
+
+    const now = Date.now();
+    for (const [tabId, ts] of stored.recentNewTabs || []) {
+      if (!recentNewTabs.has(tabId) && now - ts <= NEW_TAB_WINDOW_MS * 2) {
+        Map.prototype.set.call(recentNewTabs, tabId, ts);
+      }
+    }
+    for (const tabId of stored.navigationTabs || []) {
+      Set.prototype.add.call(navigationTabs, tabId);
+    }
+    for (const [tabId, decision] of stored.decidedTabs || []) {
+      if (!decidedTabs.has(tabId) && now - decision.at <= NEW_TAB_WINDOW_MS * 2) {
+        Map.prototype.set.call(decidedTabs, tabId, decision);
+      }
+    }
+    for (const [tabId, snapshot] of stored.protectedTabs || []) {
+      if (!protectedTabs.has(tabId)) Map.prototype.set.call(protectedTabs, tabId, snapshot);
+    }
+    for (const [tabId, report] of stored.protectCoverage || []) {
+      if (!protectCoverage.has(tabId)) Map.prototype.set.call(protectCoverage, tabId, report);
+    }
+    // The failsafe timeouts that clear these died with the old worker
+    if (now - stored.savedAt <= ONGOING_NAVIGATION_TIMEOUT_MS) {
+      for (const key of stored.ongoingNavigations || []) {
+        Set.prototype.add.call(ongoingNavigations, key);
+        setTimeout(() => ongoingNavigations.delete(key), ONGOING_NAVIGATION_TIMEOUT_MS);
+      }
+    }
+
+    debugLogger.log(`Rehydrated tab state saved ${now - stored.savedAt}ms ago: ${recentNewTabs.size} new, ${navigationTabs.size} navigation, ${decidedTabs.size} decided tabs`);
+  } catch (e) {
+    debugLogger.error('Failed to rehydrate tab state:', e);
+  }
+}
+
+const tabStateReady = hydrateTabState();
 
 // Debounce tracking for the same URL
 const lastNavigationTime = new Map();
 const NAVIGATION_DEBOUNCE_MS = 100; // Reduced to 100ms
 
-// Global navigation lock to prevent any loops
-let isNavigating = false;
+// Per-subdomain navigation queues: subdomain -> { pending, running, timer, targets }.
+// Every ticket open is queued and routed in order; opens that arrive within
+// NAVIGATION_BURST_MS of each other are collected first so duplicates merge.
+const navigationQueues = new Map();
+const NAVIGATION_BURST_MS = 150;
+const NAVIGATION_QUEUE_GAP_MS = 300; // Let the agent app register each route
+const MAX_QUEUED_NAVIGATIONS = 20;
 
 function markTabNew(tabId) {
   recentNewTabs.set(tabId, Date.now());
   debugLogger.log(`Marked tab ${tabId} as new`);
 }
 
+// Tabs the browser restores (session restore at startup, reopening a closed
+// tab) are not new opens: routing and duplicate prevention must leave them be
+const STARTUP_RESTORE_MS = 15000;
+let startupRestoreUntil = 0;
+
+function isRestoredTab(tab) {
+  if (Date.now() < startupRestoreUntil) return true;
+  // A fresh tab has no committed URL yet, or only the new tab page
+  return !!tab.url && !tab.pendingUrl && !/^(chrome|edge|about):/.test(tab.url);
+}
+
 function isTabRecentlyNew(tabId) {
   // Ignore internal navigation-target tabs created by the browser/extension
   if (navigationTabs.has(tabId)) {
@@ -160,9 +333,100 @@ function clearNavigationTab(tabId) {
   debugLogger.log(`Cleared navigation tab ${tabId}`);
 }
 
-function extractTicketNumber(url) {
-  const match = url.match(TICKET_ROUTE) || url.match(HASH_TICKET_ROUTE);
-  return match ? match[3] : null;
+function markTabDecided(tabId, phase) {
+  decidedTabs.set(tabId, { phase, at: Date.now() });
+  const createdAt = recentNewTabs.get(tabId);
+  if (createdAt) {
+    debugLogger.log(`⏱ Reuse decision for tab ${tabId} at ${phase}, ${Date.now() - createdAt}ms after tab creation`);
+  }
+}
+
+// Close the redundant new tab once the existing tab has taken over
+function closeNewTab(tabId) {
+  const createdAt = recentNewTabs.get(tabId);
+  const decided = decidedTabs.get(tabId);
+  setTimeout(async () => {
+    if (await tabExists(tabId)) {
+      debugLogger.log(`Closing duplicate tab ${tabId}`);
+      extensionClosedTabs.add(tabId);
+      await chrome.tabs.remove(tabId);
+      if (createdAt) {
+        const phase = decided ? decided.phase : 'unknown';
+        const beforeLoad = phase !== 'onCompleted' ? ', before the page loaded' : '';
+        debugLogger.log(`⏱ Tab ${tabId} closed ${Date.now() - createdAt}ms after creation (decided at ${phase}${beforeLoad})`);
+      }
+    }
+    clearNavigationTab(tabId); // Clear from tracking
+  }, 100);
+}
+
+// Classify a zendesk.com URL. Returns null for non-Zendesk URLs, otherwise
+// { type: 'ticket' | 'view' | 'restricted' | 'other', subdomain, route, id }.
+// Ticket-like routes (tickets, twickets, requests, hc/requests) all resolve to
+// the agent ticket; chat/talk/voice and print pages are 'restricted' and must
+// never be rerouted.
+function classifyZendeskUrl(url) {
+  let u;
+  try {
+    u = new URL(url);
+  } catch {
+    return null;
+  }
+
+  const hostMatch = u.hostname.match(ZENDESK_HOST);
+  if (!hostMatch) return null;
+  const subdomain = hostMatch[1].toLowerCase();
+
+  let path = u.pathname;
+  if (/^\/agent\/?$/i.test(path) && u.hash.startsWith('#/')) {
+    path = '/agent' + u.hash.slice(1);
+  }
+
+  if (RESTRICTED_PATH.test(path)) {
+    return { type: 'restricted', subdomain, route: null, id: null };
+  }
+
+  const ticketMatch = path.match(TICKET_PATH);
+  if (ticketMatch) {
+    return { type: 'ticket', subdomain, route: ticketMatch[1].toLowerCase(), id: ticketMatch[2] };
+  }
+
+  const viewMatch = path.match(VIEW_PATH);
+  if (viewMatch) {
+    return { type: 'view', subdomain, route: viewMatch[1].toLowerCase(), id: viewMatch[2] };
+  }
+
+  return { type: 'other', subdomain, route: null, id: null };
+}
+
+// Whether the URL is something the reuse flow should route (ticket or view)
+function isRoutableZendeskUrl(url) {
+  const info = classifyZendeskUrl(url);
+  return !!info && (info.type === 'ticket' || info.type === 'view');
+}
+
+function canonicalZendeskUrl(info) {
+  if (info.type === 'view') {
+    return `https://${info.subdomain}.zendesk.com/agent/${info.route}/${info.id}`;
+  }
+  return `https://${info.subdomain}.zendesk.com/agent/tickets/${info.id}`;
+}
+
+// The same route on the host the tab is actually using (custom domain or zendesk.com)
+function zendeskUrlOnHost(url, tabUrl) {
+  try {
+    const u = new URL(url);
+    u.host = new URL(tabUrl).host;
+    return u.toString();
+  } catch {
+    return url;
+  }
+}
+
+function zendeskNavigationKey(info) {
+  return info.type === 'view'
+    ? `${info.subdomain}-view-${info.id}`
+    : `${info.subdomain}-${info.id}`;
 }
 
 function extractSubdomain(url) {
@@ -170,27 +434,126 @@ function extractSubdomain(url) {
   return match ? match[1] : null;
 }
 
-function extractZendeskUrlFromTeams(url) {
-  if (!TEAMS_SAFEURL.test(url)) return null;
-  
-  try {
-    const urlParams = new URLSearchParams(url.split('?')[1]);
-    const encodedUrl = urlParams.get('url');
-    if (encodedUrl) {
-      return decodeURIComponent(encodedUrl);
+// Redirect unwrappers - link wrappers (safelinks, redirectors) that carry the
+// real destination in a query parameter. Each entry: { name, test, extract }
+// where extract(url) returns the wrapped URL or null.
+const redirectUnwrappers = [];
+
+function registerRedirectUnwrapper(unwrapper) {
+  redirectUnwrappers.push(unwrapper);
+}
+
+function queryParamExtractor(...params) {
+  return url => {
+    const u = new URL(url);
+    for (const param of params) {
+      let value = u.searchParams.get(param);
+      if (!value) continue;
+      // Some wrappers double-encode the destination
+      if (!/^https?:/i.test(value)) {
+        value = decodeURIComponent(value);
+      }
+      if (/^https?:/i.test(value)) return value;
     }
-  } catch (e) {
-    debugLogger.error('Failed to extract URL from Teams safelink:', e);
+    return null;
+  };
+}
+
+registerRedirectUnwrapper({
+  name: 'Teams safelink',
+  test: /^https?:\/\/statics\.teams\.cdn\.office\.net\/evergreen-assets\/safelinks/i,
+  extract: queryParamExtractor('url')
+});
+registerRedirectUnwrapper({
+  name: 'Outlook safelink',
+  test: /^https?:\/\/([^/]+\.)?safelinks\.protection\.outlook\.com\//i,
+  extract: queryParamExtractor('url')
+});
+registerRedirectUnwrapper({
+  name: 'Slack redirect',
+  test: /^https?:\/\/slack-redir\.net\/link/i,
+  extract: queryParamExtractor('url')
+});
+registerRedirectUnwrapper({
+  name: 'Google redirect',
+  test: /^https?:\/\/(www\.)?google\.[a-z.]+\/url\?/i,
+  extract: queryParamExtractor('q', 'url')
+});
+
+// Peel off redirect wrappers until the real destination is reached.
+// Returns { url, chain } where chain lists the wrapper names that were removed.
+function unwrapRedirectUrl(url) {
+  const chain = [];
+  let current = url;
+
+  for (let depth = 0; depth < MAX_REDIRECT_DEPTH; depth++) {
+    const unwrapper = current && redirectUnwrappers.find(u => u.test.test(current));
+    if (!unwrapper) break;
+
+    let next = null;
+    try {
+      next = unwrapper.extract(current);
+    } catch (e) {
+      debugLogger.error(`Failed to unwrap ${unwrapper.name}:`, e);
+    }
+    if (!next || next === current) break;
+
+    chain.push(unwrapper.name);
+    current = next;
+  }
+
+  return { url: current, chain };
+}
+
+// Configured Zendesk instances, cached so the synchronous helpers below can use them
+let zendeskInstances = DEFAULT_ZENDESK_INSTANCES;
+
+async function loadZendeskInstances() {
+  const settings = await storage.getAllSettings();
+  zendeskInstances = settings.zendeskInstances || [];
+  debugLogger.log(`Loaded ${zendeskInstances.length} Zendesk instance(s):`, zendeskInstances);
+}
+
+function zendeskInstanceHosts(instance) {
+  const hosts = [`${instance.subdomain}.zendesk.com`];
+  if (instance.customDomain) hosts.push(instance.customDomain.toLowerCase());
+  return hosts;
+}
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+function findZendeskInstance(url) {
+  const host = hostnameOf(url);
+  if (!host) return null;
+  return zendeskInstances.find(instance => zendeskInstanceHosts(instance).includes(host)) || null;
+}
+
+// Rewrite a host-mapped Zendesk URL onto its zendesk.com subdomain so the
+// ticket routes and tab queries only have to deal with one host form.
+function normalizeZendeskUrl(url) {
+  const instance = findZendeskInstance(url);
+  if (!instance || !instance.customDomain) return url;
+  try {
+    const u = new URL(url);
+    if (u.hostname.toLowerCase() !== instance.customDomain.toLowerCase()) return url;
+    return `${u.protocol}//${instance.subdomain}.zendesk.com${u.pathname}${u.search}${u.hash}`;
+  } catch {
+    return url;
   }
-  return null;
 }
 
 function isZendeskUrl(url) {
-  return url && url.includes('zendesk.com');
+  return !!url && (url.includes('zendesk.com') || !!findZendeskInstance(url));
 }
 
 function isZendeskTab(tab) {
-  return tab && tab.url && tab.url.includes(ZENDESK_DOMAIN);
+  return !!(tab && tab.url && findZendeskInstance(tab.url));
 }
 
 async function tabExists(tabId) {
@@ -220,32 +583,151 @@ async function monitorZendeskTab(tabId, changeInfo, tabInfo) {
     debugLogger.log(`Window ID: ${tabInfo.windowId}`);
     debugLogger.log(`Changes:`, changeInfo);
     
-    // Extract ticket info if it's a ticket URL
+    // Extract ticket/view info if it's a routable URL
     if (tabInfo.url) {
-      const ticketNumber = extractTicketNumber(tabInfo.url);
-      if (ticketNumber) {
-        debugLogger.log(`Ticket Number: ${ticketNumber}`);
+      const info = classifyZendeskUrl(tabInfo.url);
+      if (info && info.id) {
+        debugLogger.log(`${info.type === 'view' ? 'View' : 'Ticket'} Number: ${info.id}`);
       }
     }
     debugLogger.log(`========================`);
   }
 }
 
+// Home tab pinning - per subdomain routing target chosen from the popup.
+// Stored in chrome.storage.session so it survives service-worker restarts but
+// not browser restarts (tab and window ids are not stable across those).
+// Shape: { [subdomain]: { mode: 'tab' | 'window', tabId, windowId } }
+const HOME_TABS_KEY = 'zendeskHomeTabs';
+
+async function getZendeskHomeTabs() {
+  const stored = await chrome.storage.session.get(HOME_TABS_KEY);
+  return stored[HOME_TABS_KEY] || {};
+}
+
+async function setZendeskHomeTab(subdomain, pin) {
+  const homeTabs = await getZendeskHomeTabs();
+  if (pin) {
+    homeTabs[subdomain] = pin;
+  } else {
+    delete homeTabs[subdomain];
+  }
+  await chrome.storage.session.set({ [HOME_TABS_KEY]: homeTabs });
+  debugLogger.log(`Home tab for ${subdomain}:`, pin || 'cleared');
+}
+
+// Drop pins that point at a closed tab or window
+async function forgetZendeskHomeTabs(predicate) {
+  const homeTabs = await getZendeskHomeTabs();
+  let changed = false;
+  for (const [subdomain, pin] of Object.entries(homeTabs)) {
+    if (predicate(pin)) {
+      delete homeTabs[subdomain];
+      changed = true;
+      debugLogger.log(`Home ${pin.mode} for ${subdomain} is gone, falling back to most recent tab`);
+    }
+  }
+  if (changed) {
+    await chrome.storage.session.set({ [HOME_TABS_KEY]: homeTabs });
+  }
+}
+
+async function pinZendeskHomeTab(tabId, mode) {
+  const tab = await chrome.tabs.get(tabId);
+  const subdomain = tab.url && extractSubdomain(normalizeZendeskUrl(tab.url));
+  if (!subdomain) {
+    return { success: false, error: 'The current tab is not a Zendesk tab' };
+  }
+  await setZendeskHomeTab(subdomain, { mode, tabId: tab.id, windowId: tab.windowId });
+  return { success: true, subdomain };
+}
+
+// List pins with enough tab info for the popup to describe them
+async function describeZendeskHomeTabs() {
+  const homeTabs = await getZendeskHomeTabs();
+  const result = [];
+  for (const [subdomain, pin] of Object.entries(homeTabs)) {
+    let title = '';
+    if (pin.mode === 'tab') {
+      try {
+        title = (await chrome.tabs.get(pin.tabId)).title || '';
+      } catch {
+        // Tab already gone; onRemoved will clean it up
+      }
+    }
+    result.push({ subdomain, ...pin, title });
+  }
+  return result;
+}
+
+// Pick the reuse target: pinned tab, else most recent tab in the pinned
+// window, else most recently accessed tab overall.
+async function selectZendeskTarget(subdomain, candidates) {
+  const mostRecent = tabs => tabs.reduce((a, b) =>
+    (a.lastAccessed || 0) > (b.lastAccessed || 0) ? a : b
+  );
+
+  const pin = (await getZendeskHomeTabs())[subdomain];
+  if (pin) {
+    if (pin.mode === 'tab') {
+      const pinned = candidates.find(tab => tab.id === pin.tabId);
+      if (pinned) {
+        debugLogger.log(`Using pinned home tab ${pinned.id} for ${subdomain}`);
+        return pinned;
+      }
+    } else if (pin.mode === 'window') {
+      const inWindow = candidates.filter(tab => tab.windowId === pin.windowId);
+      if (inWindow.length > 0) {
+        debugLogger.log(`Using home window ${pin.windowId} for ${subdomain}`);
+        return mostRecent(inWindow);
+      }
+    }
+    debugLogger.log(`Home ${pin.mode} for ${subdomain} has no usable agent tab, falling back to most recent`);
+  }
+
+  return mostRecent(candidates);
+}
+
+// Multi-tab mode: spread a burst over up to maxAgentTabs agent tabs.
+// Returns the tab to reuse, or null when the new tab should be kept because
+// the subdomain has not reached its agent tab limit yet.
+function selectAgentTabForBurst(candidates, cleanUrl, maxAgentTabs, burstTargets) {
+  const alreadyOpen = candidates.find(tab => normalizeZendeskUrl(tab.url) === cleanUrl);
+  if (alreadyOpen) {
+    debugLogger.log(`Ticket already open in agent tab ${alreadyOpen.id}`);
+    return alreadyOpen;
+  }
+
+  // Tabs kept earlier in this burst may not have committed their URL yet, so
+  // the query misses them; they still count toward the limit
+  const candidateIds = new Set(candidates.map(tab => tab.id));
+  const uncommitted = [...burstTargets].filter(id => !candidateIds.has(id)).length;
+  const agentTabs = candidates.length + uncommitted;
+  if (agentTabs < maxAgentTabs) {
+    debugLogger.log(`Only ${agentTabs}/${maxAgentTabs} agent tabs open, keeping the new tab`);
+    return null;
+  }
+
+  const leastRecent = tabs => tabs.reduce((a, b) =>
+    (a.lastAccessed || 0) <= (b.lastAccessed || 0) ? a : b
+  );
+
+  // Prefer tabs this burst has not written to yet, then evict the LRU one
+  const unused = candidates.filter(tab => !burstTargets.has(tab.id));
+  const targetTab = leastRecent(unused.length > 0 ? unused : candidates);
+  debugLogger.log(`Evicting least recently used agent tab ${targetTab.id} (${unused.length} unused in this burst)`);
+  return targetTab;
+}
+
 // Main tab reuse function - SIMPLE APPROACH
-async function reuseZendeskTab(newTabId, ticketUrl) {
+// burstTargets collects the tabs written to by the current queue drain.
+async function reuseZendeskTab(newTabId, ticketUrl, burstTargets = new Set()) {
   debugLogger.log(`=== TAB REUSE START ===`);
   debugLogger.log(`New Tab ID: ${newTabId}`);
   debugLogger.log(`Ticket URL: ${ticketUrl}`);
   
-  // Set the global navigation lock
-  isNavigating = true;
-  
-  // Failsafe: release lock after 3 seconds in case something goes wrong
-  setTimeout(() => {
-    isNavigating = false;
-    debugLogger.log(`Global navigation lock released by timeout`);
-  }, 3000);
-  
+  let navigationKey = null;
+
   try {
     // Get settings to check if no-reload is enabled
     const settings = await storage.getAllSettings();
@@ -254,16 +736,16 @@ async function reuseZendeskTab(newTabId, ticketUrl) {
     debugLogger.log(`No-reload navigation: ${useNoReload ? 'ENABLED' : 'DISABLED'}`);
     
     // Extract info from URL
-    const subdomain = extractSubdomain(ticketUrl);
-    const ticketNumber = extractTicketNumber(ticketUrl);
+    const info = classifyZendeskUrl(ticketUrl);
     
-    if (!subdomain || !ticketNumber) {
-      debugLogger.log('Could not extract subdomain or ticket number');
+    if (!info || (info.type !== 'ticket' && info.type !== 'view')) {
+      debugLogger.log('Could not extract subdomain or ticket/view number');
       return;
     }
+    const { subdomain } = info;
     
     // Create a unique navigation key
-    const navigationKey = `${subdomain}-${ticketNumber}`;
+    navigationKey = zendeskNavigationKey(info);
     
     // Check if we're already processing this navigation to prevent loops
     if (ongoingNavigations.has(navigationKey)) {
@@ -279,11 +761,13 @@ async function reuseZendeskTab(newTabId, ticketUrl) {
     // Set a timeout to clear the navigation key after 5 seconds (failsafe)
     setTimeout(() => {
       ongoingNavigations.delete(navigationKey);
-    }, 5000);
+    }, ONGOING_NAVIGATION_TIMEOUT_MS);
     
-    // Find all Zendesk tabs for this subdomain
+    // Find all Zendesk tabs for this subdomain, on zendesk.com and its custom domain
+    const instance = zendeskInstances.find(item => item.subdomain === subdomain);
+    const hosts = instance ? zendeskInstanceHosts(instance) : [`${subdomain}.zendesk.com`];
     const allTabs = await chrome.tabs.query({
-      url: `*://${subdomain}.zendesk.com/*`
+      url: hosts.map(host => `*://${host}/*`)
     });
     
     debugLogger.log(`Found ${allTabs.length} total Zendesk tabs for ${subdomain}`);
@@ -291,9 +775,11 @@ async function reuseZendeskTab(newTabId, ticketUrl) {
       debugLogger.log(`  Tab ${tab.id}: ${tab.url} (active: ${tab.active}, window: ${tab.windowId})`);
     });
     
-    // Filter out the new tab and find the best candidate
+    // Filter out the new tab (and new tabs still waiting in the queue) and find the best candidate
+    const pendingTabIds = queuedTabIds(subdomain);
     const candidates = allTabs.filter(tab => 
       tab.id !== newTabId && 
+      !pendingTabIds.has(tab.id) &&
       tab.url.includes('/agent/')
     );
     
@@ -304,49 +790,49 @@ async function reuseZendeskTab(newTabId, ticketUrl) {
       return;
     }
     
-    // Choose the most recently accessed tab
-    const targetTab = candidates.reduce((a, b) => 
-      (a.lastAccessed || 0) > (b.lastAccessed || 0) ? a : b
-    );
+    // Create the clean ticket/view URL
+    const cleanUrl = canonicalZendeskUrl(info);
+    debugLogger.log(`Clean ${info.type} URL: ${cleanUrl}`);
+    
+    // Choose the pinned home tab or the most recently accessed tab, or in
+    // multi-tab mode spread the burst over the managed agent tabs
+    const maxAgentTabs = Math.max(1, Number(settings.maxAgentTabs) || 1);
+    const targetTab = maxAgentTabs > 1
+      ? selectAgentTabForBurst(candidates, cleanUrl, maxAgentTabs, burstTargets)
+      : await selectZendeskTarget(subdomain, candidates);
+    
+    if (!targetTab) {
+      debugLogger.log(`Keeping tab ${newTabId} as a new agent tab`);
+      burstTargets.add(newTabId);
+      return;
+    }
+    burstTargets.add(targetTab.id);
     
     debugLogger.log(`Selected target tab: ${targetTab.id} (${targetTab.url})`);
+    const targetUrl = zendeskUrlOnHost(cleanUrl, targetTab.url);
     debugLogger.log(`Target tab last accessed: ${new Date(targetTab.lastAccessed).toISOString()}`);
     
-    // Create the clean ticket URL
-    const cleanUrl = `https://${subdomain}.zendesk.com/agent/tickets/${ticketNumber}`;
-    debugLogger.log(`Clean ticket URL: ${cleanUrl}`);
-    
     // Focus the target tab first
     debugLogger.log(`Focusing tab ${targetTab.id}`);
     await chrome.tabs.update(targetTab.id, { active: true });
     await chrome.windows.update(targetTab.windowId, { focused: true });
     
     // Check if the target tab already has the exact same URL
-    if (targetTab.url === cleanUrl) {
+    if (targetTab.url === targetUrl) {
       debugLogger.log(`Target tab already has the same URL, no navigation needed`);
       debugLogger.log('=== TAB REUSE COMPLETED ===');
       
       // Close the new tab after a short delay
-      setTimeout(async () => {
-        if (await tabExists(newTabId)) {
-          debugLogger.log(`Closing duplicate tab ${newTabId}`);
-          await chrome.tabs.remove(newTabId);
-        }
-        clearNavigationTab(newTabId); // Clear from tracking
-      }, 100);
+      closeNewTab(newTabId);
       
       // Clear the navigation tracking
       ongoingNavigations.delete(navigationKey);
       
-      // Release the global lock
-      isNavigating = false;
-      debugLogger.log(`Global navigation lock released`);
-      
       return;
     }
     
-    // Navigate to the new ticket
-    if (useNoReload) {
+    // Navigate to the new ticket (views always use a plain URL update)
+    if (useNoReload && info.type === 'ticket') {
       debugLogger.log(`Attempting no-reload navigation...`);
       debugLogger.log(`Target tab URL: ${targetTab.url}`);
       debugLogger.log(`Target tab path: ${new URL(targetTab.url).pathname}`);
@@ -452,7 +938,7 @@ async function reuseZendeskTab(newTabId, ticketUrl) {
             log('Not on a Zendesk ticket page, SPA navigation not possible');
             return { success: false, method: 'not-on-ticket-page', logs };
           },
-          args: [cleanUrl]
+          args: [targetUrl]
         });
         
         const result = results[0]?.result;
@@ -471,28 +957,22 @@ async function reuseZendeskTab(newTabId, ticketUrl) {
           }
           // Fall back to URL update
           debugLogger.log(`Falling back to URL update...`);
-          await chrome.tabs.update(targetTab.id, { url: cleanUrl });
+          await chrome.tabs.update(targetTab.id, { url: targetUrl });
         }
       } catch (error) {
         debugLogger.error('No-reload navigation failed:', error);
         // Fall back to URL update
         debugLogger.log(`Falling back to URL update...`);
-        await chrome.tabs.update(targetTab.id, { url: cleanUrl });
+        await chrome.tabs.update(targetTab.id, { url: targetUrl });
       }
     } else {
       // Standard URL update (with reload)
-      debugLogger.log(`Updating tab ${targetTab.id} to ${cleanUrl} (with reload)`);
-      await chrome.tabs.update(targetTab.id, { url: cleanUrl });
+      debugLogger.log(`Updating tab ${targetTab.id} to ${targetUrl} (with reload)`);
+      await chrome.tabs.update(targetTab.id, { url: targetUrl });
     }
     
     // Close the new tab after a short delay
-    setTimeout(async () => {
-      if (await tabExists(newTabId)) {
-        debugLogger.log(`Closing duplicate tab ${newTabId}`);
-        await chrome.tabs.remove(newTabId);
-      }
-      clearNavigationTab(newTabId); // Clear from tracking
-    }, 100); // Reduced from 300ms to 100ms
+    closeNewTab(newTabId);
     
     debugLogger.log('=== TAB REUSE COMPLETED ===');
     
@@ -502,23 +982,110 @@ async function reuseZendeskTab(newTabId, ticketUrl) {
   } catch (error) {
     debugLogger.error('Error in reuseZendeskTab:', error);
     // Make sure to clear on error too
-    ongoingNavigations.delete(navigationKey);
+    if (navigationKey) ongoingNavigations.delete(navigationKey);
+  }
+}
+
+function getNavigationQueue(subdomain) {
+  if (!navigationQueues.has(subdomain)) {
+    navigationQueues.set(subdomain, { pending: [], running: false, timer: null, targets: null });
+  }
+  return navigationQueues.get(subdomain);
+}
+
+// New tabs still waiting to be routed; they must not be used as reuse targets
+function queuedTabIds(subdomain) {
+  const queue = navigationQueues.get(subdomain);
+  const ids = new Set();
+  if (!queue) return ids;
+  queue.pending.forEach(job => {
+    ids.add(job.tabId);
+    job.mergedTabIds.forEach(id => ids.add(id));
+  });
+  return ids;
+}
+
+// Agent tabs the running drain is navigating right now. Only a tab spawned
+// by one of these is a side effect of our own routing.
+function isRoutingTargetTab(subdomain, tabId) {
+  const queue = navigationQueues.get(subdomain);
+  return !!queue && queue.running && !!queue.targets && queue.targets.has(tabId);
+}
+
+// Queue a ticket/view open for its subdomain. Opens of the same ticket that are
+// already waiting are merged into one job; their extra tabs are closed later.
+function enqueueZendeskNavigation(tabId, url, info) {
+  const queue = getNavigationQueue(info.subdomain);
+  const key = zendeskNavigationKey(info);
+
+  const existing = queue.pending.find(job => job.key === key);
+  if (existing) {
+    existing.mergedTabIds.push(tabId);
+    debugLogger.log(`🔀 Merged duplicate open of ${key} (tab ${tabId}) into queued tab ${existing.tabId}`);
+  } else {
+    queue.pending.push({ tabId, url, key, mergedTabIds: [], queuedAt: Date.now() });
+    debugLogger.log(`Queued ${key} (tab ${tabId}), ${queue.pending.length} pending for ${info.subdomain}`);
+  }
+
+  while (queue.pending.length > MAX_QUEUED_NAVIGATIONS) {
+    const dropped = queue.pending.shift();
+    debugLogger.log(`⚠️ Navigation queue for ${info.subdomain} is full, dropped ${dropped.key} (tab ${dropped.tabId} left open)`);
+  }
+
+  // Wait for the burst to settle before draining
+  clearTimeout(queue.timer);
+  queue.timer = setTimeout(() => drainNavigationQueue(info.subdomain), NAVIGATION_BURST_MS);
+}
+
+async function drainNavigationQueue(subdomain) {
+  const queue = getNavigationQueue(subdomain);
+  if (queue.running) return; // The running drain picks up new jobs itself
+  queue.running = true;
+  queue.timer = null;
+
+  try {
+    let processed = 0;
+    const burstTargets = new Set();
+    queue.targets = burstTargets;
+    while (queue.pending.length > 0) {
+      const job = queue.pending.shift();
+      if (processed > 0) await sleep(NAVIGATION_QUEUE_GAP_MS);
+
+      debugLogger.log(`Processing ${job.key} for ${subdomain} (waited ${Date.now() - job.queuedAt}ms, ${queue.pending.length} still pending)`);
+      await reuseZendeskTab(job.tabId, job.url, burstTargets);
+
+      // Merged opens were for the same ticket - the routed tab already shows it
+      job.mergedTabIds.forEach(tabId => closeNewTab(tabId));
+      processed++;
+    }
+    if (processed > 1) {
+      debugLogger.log(`Navigation burst for ${subdomain} done: ${processed} opens routed to ${burstTargets.size} tab(s)`);
+    }
   } finally {
-    // Always release the global lock
-    isNavigating = false;
-    debugLogger.log(`Global navigation lock released`);
+    queue.running = false;
+    queue.targets = null;
   }
 }
 
 // Navigation handler
-async function handleNavigation(details) {
-  // Global lock check - if we're already navigating, skip everything
-  if (isNavigating) {
+async function handleNavigation(details, phase = 'onCompleted') {
+  // The worker may have just woken up - wait for the persisted tab state
+  await tabStateReady;
+
+  // Already decided at an earlier phase (onBeforeNavigate/onCreatedNavigationTarget)
+  if (decidedTabs.has(details.tabId)) {
     if (debugLogger.debugEnabled && isZendeskUrl(details.url)) {
-      debugLogger.log(`⚠️ GLOBAL LOCK: Already navigating, skipping Zendesk navigation`);
+      debugLogger.log(`Tab ${details.tabId} already handled at ${decidedTabs.get(details.tabId).phase}, skipping ${phase}`);
     }
     return;
   }
+
+  // Map host-mapped Zendesk domains onto their zendesk.com subdomain
+  const normalizedUrl = normalizeZendeskUrl(details.url);
+  if (normalizedUrl !== details.url) {
+    debugLogger.log(`Mapped custom Zendesk domain: ${details.url} -> ${normalizedUrl}`);
+    details = { ...details, url: normalizedUrl };
+  }
   
   // Only log Zendesk navigations if debug is enabled
   if (debugLogger.debugEnabled && isZendeskUrl(details.url)) {
@@ -527,6 +1094,7 @@ async function handleNavigation(details) {
     debugLogger.log(`URL: ${details.url}`);
     debugLogger.log(`Frame ID: ${details.frameId}`);
     debugLogger.log(`Transition Type: ${details.transitionType || 'N/A'}`);
+    debugLogger.log(`Phase: ${phase}`);
     debugLogger.log(`Time: ${new Date().toISOString()}`);
   }
   
@@ -539,12 +1107,14 @@ async function handleNavigation(details) {
   }
   
   // Early loop prevention - check if this is a Zendesk URL and add immediate checks
-  if (isZendeskUrl(details.url)) {
-    const subdomain = extractSubdomain(details.url);
-    const ticketNumber = extractTicketNumber(details.url);
-    
-    if (subdomain && ticketNumber) {
-      const navigationKey = `${subdomain}-${ticketNumber}`;
+  const zendeskInfo = classifyZendeskUrl(details.url);
+  if (zendeskInfo && zendeskInfo.type === 'restricted') {
+    debugLogger.log(`Restricted Zendesk route (chat/talk/voice/print), not rerouting: ${details.url}`);
+    return;
+  }
+  if (zendeskInfo) {
+    if (zendeskInfo.id) {
+      const navigationKey = zendeskNavigationKey(zendeskInfo);
       
       // Check if we're already processing this navigation
       if (ongoingNavigations.has(navigationKey)) {
@@ -554,43 +1124,50 @@ async function handleNavigation(details) {
     }
   }
   
-  // Check for Teams safelinks to Zendesk
-  if (TEAMS_SAFEURL.test(details.url)) {
-    const zendeskUrl = extractZendeskUrlFromTeams(details.url);
-    if (zendeskUrl && TICKET_ROUTE.test(zendeskUrl)) {
-      if (debugLogger.debugEnabled) {
-        debugLogger.log(`Detected Teams safelink to Zendesk ticket`);
-        debugLogger.log(`Extracted Zendesk URL: ${zendeskUrl}`);
-      }
+  // Check for Teams/Outlook/Slack/Google redirect links (possibly nested)
+  const unwrapped = unwrapRedirectUrl(details.url);
+  if (unwrapped.chain.length > 0) {
+    const targetUrl = normalizeZendeskUrl(unwrapped.url);
+    if (debugLogger.debugEnabled) {
+      debugLogger.log(`Detected redirect link: ${unwrapped.chain.join(' -> ')}`);
+      debugLogger.log(`Extracted URL: ${targetUrl}`);
+    }
+    if (isRoutableZendeskUrl(targetUrl)) {
       // Process as if it were the Zendesk URL
-      await processZendeskNavigation(details.tabId, zendeskUrl);
-      return;
+      await processZendeskNavigation(details.tabId, targetUrl, phase);
+    } else {
+      await processReuseRules(details.tabId, unwrapped.url, phase);
+      await processDuplicatePrevention(details.tabId, unwrapped.url, phase);
     }
+    return;
   }
   
-  // Check if this is a Zendesk ticket URL
-  const isTicketUrl = TICKET_ROUTE.test(details.url) || HASH_TICKET_ROUTE.test(details.url);
-  
+  // Check if this is a Zendesk ticket or view URL
+  const isTicketUrl = !!zendeskInfo && (zendeskInfo.type === 'ticket' || zendeskInfo.type === 'view');
+
   if (!isTicketUrl) {
+    // Not a Zendesk ticket - give the user-defined reuse rules a chance
+    await processReuseRules(details.tabId, details.url, phase);
+    await processDuplicatePrevention(details.tabId, details.url, phase);
     return;
   }
   
   // Process Zendesk navigation
-  await processZendeskNavigation(details.tabId, details.url);
+  await processZendeskNavigation(details.tabId, details.url, phase);
 }
 
-async function processZendeskNavigation(tabId, url) {
-  // Extract ticket info for debugging
-  const subdomain = extractSubdomain(url);
-  const ticketNumber = extractTicketNumber(url);
+async function processZendeskNavigation(tabId, url, phase) {
+  // Extract ticket/view info for debugging
+  const info = classifyZendeskUrl(url);
+  if (!info || !info.id) return;
   
   if (debugLogger.debugEnabled) {
-    debugLogger.log(`Is Zendesk ticket URL: true`);
-    debugLogger.log(`Extracted - Subdomain: ${subdomain}, Ticket: ${ticketNumber}`);
+    debugLogger.log(`Is Zendesk ${info.type} URL: true (route: ${info.route})`);
+    debugLogger.log(`Extracted - Subdomain: ${info.subdomain}, ${info.type === 'view' ? 'View' : 'Ticket'}: ${info.id}`);
   }
   
   // Create navigation key to check for ongoing operations
-  const navigationKey = `${subdomain}-${ticketNumber}`;
+  const navigationKey = zendeskNavigationKey(info);
   
   // Check if we're already processing this navigation to prevent loops
   if (ongoingNavigations.has(navigationKey)) {
@@ -608,34 +1185,287 @@ async function processZendeskNavigation(tabId, url) {
     return;
   }
   
-  // Reuse existing tab
+  // Reuse existing tab, in order with any other opens for this subdomain
   debugLogger.log('Proceeding with tab reuse...');
-  await reuseZendeskTab(tabId, url);
+  markTabDecided(tabId, phase);
+  enqueueZendeskNavigation(tabId, url, info);
 }
 
-// Event listeners
-chrome.webNavigation.onCompleted.addListener(handleNavigation);
-chrome.webNavigation.onHistoryStateUpdated.addListener(handleNavigation);
+// Generic tab reuse rules (Jira, GitHub, Salesforce, ServiceNow, ...)
+// Each rule: { id, name, pattern, canonical, target, targetPattern }
+//   pattern       - regex tested against the navigated URL (capture groups allowed)
+//   canonical     - URL template using $1..$9, $<name> and $& from the pattern match
+//   target        - which existing tab to reuse:
+//                   'samePattern'   any tab whose URL also matches the pattern
+//                   'sameOrigin'    any tab on the canonical URL's origin
+//                   'targetPattern' any tab whose URL matches targetPattern
+function compileReuseRule(rule) {
+  if (!rule || !rule.pattern) return null;
+  try {
+    return {
+      rule,
+      regex: new RegExp(rule.pattern),
+      targetRegex: rule.target === 'targetPattern' && rule.targetPattern
+        ? new RegExp(rule.targetPattern)
+        : null
+    };
+  } catch (e) {
+    debugLogger.error(`Invalid reuse rule "${rule.name || rule.id}":`, e.message);
+    return null;
+  }
+}
 
-// Update badge with duplicate count
-async function updateBadge() {
-  const settings = await storage.getAllSettings();
-  if (!settings.highlightEnabled) {
-    // Clear badge if highlighting is disabled
-    chrome.action.setBadgeText({ text: '' });
-    if (debugLogger.debugEnabled) {
-      debugLogger.log('Badge cleared: highlightEnabled is false');
+function expandCanonicalTemplate(template, match) {
+  if (!template) return match[0];
+  return template.replace(/\$(\d|<[^>]+>|&)/g, (token, ref) => {
+    if (ref === '&') return match[0];
+    if (ref.startsWith('<')) {
+      const name = ref.slice(1, -1);
+      return (match.groups && match.groups[name]) || '';
+    }
+    return match[Number(ref)] || '';
+  });
+}
+
+function matchReuseRule(url, rules) {
+  if (!url || !Array.isArray(rules)) return null;
+
+  for (const rule of rules) {
+    const compiled = compileReuseRule(rule);
+    if (!compiled) continue;
+
+    const match = url.match(compiled.regex);
+    if (!match) continue;
+
+    const canonicalUrl = expandCanonicalTemplate(rule.canonical, match);
+    try {
+      new URL(canonicalUrl);
+    } catch {
+      debugLogger.error(`Reuse rule "${rule.name || rule.id}" produced an invalid URL: ${canonicalUrl}`);
+      continue;
     }
+    return { ...compiled, canonicalUrl };
+  }
+  return null;
+}
+
+function isReuseCandidate(tab, compiled, canonicalUrl) {
+  if (!tab.url) return false;
+  switch (compiled.rule.target) {
+    case 'sameOrigin':
+      try {
+        return new URL(tab.url).origin === new URL(canonicalUrl).origin;
+      } catch {
+        return false;
+      }
+    case 'targetPattern':
+      return !!compiled.targetRegex && compiled.targetRegex.test(tab.url);
+    case 'samePattern':
+    default:
+      return compiled.regex.test(tab.url);
+  }
+}
+
+async function processReuseRules(tabId, url, phase) {
+  const settings = await storage.getAllSettings();
+  if (!settings.reuseRules || settings.reuseRules.length === 0) return;
+
+  const matched = matchReuseRule(url, settings.reuseRules);
+  if (!matched) return;
+
+  const ruleName = matched.rule.name || matched.rule.id;
+  debugLogger.log(`=== REUSE RULE MATCH: ${ruleName} ===`);
+  debugLogger.log(`URL: ${url}`);
+  debugLogger.log(`Canonical URL: ${matched.canonicalUrl}`);
+
+  const navigationKey = `rule:${matched.rule.id}:${matched.canonicalUrl}`;
+  if (ongoingNavigations.has(navigationKey)) {
+    debugLogger.log(`⚠️ Navigation already in progress for ${navigationKey}, skipping to prevent loop`);
     return;
   }
-  
+
+  // Only process new tabs, exactly like the Zendesk flow
+  if (!isTabRecentlyNew(tabId)) {
+    debugLogger.log('Not a new tab, ignoring navigation');
+    return;
+  }
+
+  ongoingNavigations.add(navigationKey);
+  setTimeout(() => {
+    ongoingNavigations.delete(navigationKey);
+  }, ONGOING_NAVIGATION_TIMEOUT_MS);
+  markTabDecided(tabId, phase);
+
   try {
-    // Get the active tab
-    const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    
-    if (!activeTab || !activeTab.url) {
-      chrome.action.setBadgeText({ text: '' });
-      return;
+    await reuseRuleTab(tabId, matched);
+  } catch (error) {
+    debugLogger.error('Error in reuseRuleTab:', error);
+  } finally {
+    ongoingNavigations.delete(navigationKey);
+  }
+}
+
+async function reuseRuleTab(newTabId, matched) {
+  const { canonicalUrl } = matched;
+  const allTabs = await chrome.tabs.query({});
+  const candidates = allTabs.filter(tab =>
+    tab.id !== newTabId && isReuseCandidate(tab, matched, canonicalUrl)
+  );
+
+  debugLogger.log(`Found ${candidates.length} candidate tabs for rule ${matched.rule.name || matched.rule.id}`);
+  if (candidates.length === 0) return;
+
+  const targetTab = candidates.reduce((a, b) =>
+    (a.lastAccessed || 0) > (b.lastAccessed || 0) ? a : b
+  );
+  debugLogger.log(`Selected target tab: ${targetTab.id} (${targetTab.url})`);
+
+  await chrome.tabs.update(targetTab.id, { active: true });
+  await chrome.windows.update(targetTab.windowId, { focused: true });
+
+  if (targetTab.url !== canonicalUrl) {
+    debugLogger.log(`Updating tab ${targetTab.id} to ${canonicalUrl}`);
+    await chrome.tabs.update(targetTab.id, { url: canonicalUrl });
+  } else {
+    debugLogger.log('Target tab already has the same URL, no navigation needed');
+  }
+
+  closeNewTab(newTabId);
+
+  debugLogger.log('=== REUSE RULE COMPLETED ===');
+}
+
+// dupAuto: a new tab opening a URL that is already open (per the duplicate
+// key) is closed and the open copy focused. Zendesk tickets and reuse rules
+// have their own flows and decide first.
+const DUP_PREVENTED_PREFIX = 'dup-prevented:';
+const DUP_PREVENTED_KEY = 'dupPrevented';
+// Keys the user chose "open anyway" for: key -> until
+const dupPreventionBypass = new Map();
+
+// Domain grouping is for the overview only: preventing a second tab per
+// domain would make the setting unusable, so it falls back to exact copies
+function duplicatePreventionKey(url, settings) {
+  if ((settings.dupStrategy || 'hostname') === 'hostname') {
+    return normalizeDuplicateUrl(url, settings.dupNormalize || {});
+  }
+  return duplicateKeyFor(url, settings);
+}
+
+function duplicatePreventionApplies(url, settings) {
+  const host = hostnameOf(url);
+  if (!host || !/^https?:/.test(url)) return false;
+  if ((settings.dupAutoAllow || []).some(domain => protectHostMatches(host, domain))) return false;
+  const deny = settings.dupAutoDeny || [];
+  return deny.length === 0 || deny.some(domain => protectHostMatches(host, domain));
+}
+
+async function processDuplicatePrevention(tabId, url, phase) {
+  if (decidedTabs.has(tabId)) return;
+  const settings = await storage.getAllSettings();
+  if (!settings.dupAuto || !duplicatePreventionApplies(url, settings)) return;
+
+  const key = duplicatePreventionKey(url, settings);
+  if (!key) return;
+  if (dupPreventionBypass.get(key) > Date.now()) {
+    debugLogger.log(`Duplicate of ${key} opened anyway, not preventing`);
+    return;
+  }
+  if (!isTabRecentlyNew(tabId)) return;
+
+  const allTabs = await chrome.tabs.query({});
+  const copies = allTabs.filter(tab => tab.id !== tabId && tab.url && duplicatePreventionKey(tab.url, settings) === key);
+  if (copies.length === 0) return;
+
+  const [existing] = copies.sort(compareKeepScore);
+  const newTab = allTabs.find(tab => tab.id === tabId);
+  markTabDecided(tabId, phase);
+  debugLogger.log(`=== DUPLICATE PREVENTED ===`);
+  debugLogger.log(`New tab ${tabId} opened ${url}, already open in tab ${existing.id}`);
+
+  await focusTab(existing.id, existing.windowId);
+  closeNewTab(tabId);
+
+  const token = `${tabId}-${Date.now()}`;
+  const stored = (await chrome.storage.session.get(DUP_PREVENTED_KEY))[DUP_PREVENTED_KEY] || {};
+  // Only the last few notifications can still be on screen
+  const recent = Object.entries(stored).slice(-9);
+  await chrome.storage.session.set({
+    [DUP_PREVENTED_KEY]: Object.fromEntries([...recent, [token, {
+      url,
+      key,
+      windowId: newTab ? newTab.windowId : existing.windowId,
+      index: newTab ? newTab.index : undefined
+    }]])
+  });
+  await showNotification(DUP_PREVENTED_PREFIX + token, {
+    title: 'Duplicate tab prevented',
+    message: existing.title || url,
+    contextMessage: 'Switched to the tab that was already open',
+    buttons: [{ title: 'Open anyway' }]
+  });
+}
+
+// The extension is about to open url itself (undo, restore, "open anyway"):
+// don't let duplicate prevention close it again
+async function allowDuplicateOpen(url, key) {
+  if (!key) key = duplicatePreventionKey(url, await storage.getAllSettings());
+  if (!key) return;
+  dupPreventionBypass.set(key, Date.now() + NEW_TAB_WINDOW_MS * 2);
+  setTimeout(() => dupPreventionBypass.delete(key), NEW_TAB_WINDOW_MS * 2);
+}
+
+async function openPreventedDuplicate(token) {
+  const stored = (await chrome.storage.session.get(DUP_PREVENTED_KEY))[DUP_PREVENTED_KEY] || {};
+  const entry = stored[token];
+  if (!entry) return;
+  delete stored[token];
+  await chrome.storage.session.set({ [DUP_PREVENTED_KEY]: stored });
+  chrome.notifications.clear(DUP_PREVENTED_PREFIX + token);
+
+  await allowDuplicateOpen(entry.url, entry.key);
+  try {
+    await chrome.tabs.create({ url: entry.url, windowId: entry.windowId, index: entry.index, active: true });
+  } catch (e) {
+    await chrome.tabs.create({ url: entry.url, active: true });
+  }
+  debugLogger.log(`Opened prevented duplicate anyway: ${entry.url}`);
+}
+
+chrome.notifications.onButtonClicked.addListener(notificationId => {
+  if (!notificationId.startsWith(DUP_PREVENTED_PREFIX)) return;
+  openPreventedDuplicate(notificationId.slice(DUP_PREVENTED_PREFIX.length));
+});
+
+// Event listeners
+// onBeforeNavigate (below) makes the reuse decision before the page boots;
+// these are fallbacks for server-side redirects and in-app route changes.
+chrome.webNavigation.onCompleted.addListener(details => handleNavigation(details, 'onCompleted'));
+chrome.webNavigation.onHistoryStateUpdated.addListener(details => handleNavigation(details, 'onHistoryStateUpdated'));
+
+// Set while flashBadge() owns the badge
+let badgeFlashing = false;
+
+// Update badge with duplicate count
+async function updateBadge() {
+  if (badgeFlashing) return;
+  const settings = await storage.getAllSettings();
+  if (!settings.highlightEnabled) {
+    // Clear badge if highlighting is disabled
+    chrome.action.setBadgeText({ text: '' });
+    if (debugLogger.debugEnabled) {
+      debugLogger.log('Badge cleared: highlightEnabled is false');
+    }
+    return;
+  }
+  
+  try {
+    // Get the active tab
+    const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    
+    if (!activeTab || !activeTab.url) {
+      chrome.action.setBadgeText({ text: '' });
+      return;
     }
     
     // Extract hostname from active tab
@@ -672,64 +1502,1188 @@ async function updateBadge() {
       }
     }
   } catch (e) {
-    if (debugLogger.debugEnabled) {
-      debugLogger.error('Failed to update badge:', e);
+    if (debugLogger.debugEnabled) {
+      debugLogger.error('Failed to update badge:', e);
+    }
+  }
+}
+
+// Blink the badge to draw attention, then restore the duplicate count
+function flashBadge(text = '!', times = 4) {
+  badgeFlashing = true;
+  let step = 0;
+  const blink = () => {
+    if (step >= times * 2) {
+      badgeFlashing = false;
+      updateBadge();
+      return;
+    }
+    chrome.action.setBadgeText({ text: step % 2 === 0 ? text : '' });
+    chrome.action.setBadgeBackgroundColor({ color: '#E8710A' });
+    step++;
+    setTimeout(blink, 400);
+  };
+  blink();
+}
+
+// Desktop notifications. The extension ships no icon files, so the
+// notification icon is inlined.
+const NOTIFICATION_ICON = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAACAAAAAgCAYAAABzenr0AAAAZ0lEQVR42u3Xyw0AEBBFUXVoU9O6oAAhmN8TbxLre3ZmUnppcqlt54VETTDSuAihFb9CaMePEFbxLYR1fInwik8RfwO84wOCAAIIICAcwL8AAhC+kECsZBBLKcRaDnGYQJxmEMep9XTUjhe6KR59ZgAAAABJRU5ErkJggg==';
+
+async function showNotification(id, options) {
+  try {
+    await chrome.notifications.create(id, { type: 'basic', iconUrl: NOTIFICATION_ICON, ...options });
+  } catch (e) {
+    debugLogger.error('Failed to show notification:', e);
+  }
+}
+
+// Refresh functionality - scheduled with chrome.alarms so it survives worker
+// suspension and browser restarts. Chrome won't fire alarms more often than
+// every 30s, so shorter intervals run from an in-worker timeout with the alarm
+// kept as a backstop in case the worker is suspended in between.
+const REFRESH_ALARM_PREFIX = 'refresh:';
+const REFRESH_SCHEDULE_KEY = 'refreshSchedule';
+const MIN_ALARM_DELAY_MS = 30 * 1000;
+
+function refreshRuleKey(rule) {
+  return rule.id;
+}
+
+function refreshRulePattern(rule) {
+  return (rule.pattern || rule.domain || '').trim();
+}
+
+function describeRefreshRule(rule) {
+  const match = rule.match || 'domain';
+  return match === 'domain' ? refreshRulePattern(rule) : `${match} ${refreshRulePattern(rule)}`;
+}
+
+function globToRegExp(glob) {
+  const source = glob
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+// Prefix and glob patterns without a scheme (grafana.internal/d/abc) are
+// compared against host + path + query, so they work for http and https alike
+function refreshMatchTarget(pattern, url) {
+  return /^[a-z][a-z0-9+.-]*:\/\//i.test(pattern) ? url.href : url.host + url.pathname + url.search + url.hash;
+}
+
+function compileRefreshMatcher(rule) {
+  const match = rule.match || 'domain';
+  const pattern = refreshRulePattern(rule);
+  if (!pattern) return null;
+
+  try {
+    if (match === 'domain') {
+      const domain = pattern.toLowerCase();
+      return url => url.hostname === domain || url.hostname.endsWith('.' + domain);
+    }
+    if (match === 'prefix') {
+      const prefix = pattern.toLowerCase();
+      return url => refreshMatchTarget(pattern, url).toLowerCase().startsWith(prefix);
+    }
+    if (match === 'glob') {
+      const regex = globToRegExp(pattern);
+      return url => regex.test(refreshMatchTarget(pattern, url));
+    }
+    if (match === 'regex') {
+      const regex = new RegExp(pattern, 'i');
+      return url => regex.test(url.href);
+    }
+  } catch (e) {
+    debugLogger.error(`Invalid refresh rule "${describeRefreshRule(rule)}":`, e.message);
+    return null;
+  }
+
+  debugLogger.error(`Unknown refresh match type "${match}"`);
+  return null;
+}
+
+// { [ruleKey]: { lastRefreshedAt, nextRefreshAt } } in chrome.storage.local
+async function getRefreshSchedule() {
+  const stored = await chrome.storage.local.get(REFRESH_SCHEDULE_KEY);
+  return stored[REFRESH_SCHEDULE_KEY] || {};
+}
+
+// Writes are chained so concurrent rules don't overwrite each other's entries
+let refreshScheduleWrite = Promise.resolve();
+
+function updateRefreshSchedule(key, entry) {
+  refreshScheduleWrite = refreshScheduleWrite.then(async () => {
+    const schedule = await getRefreshSchedule();
+    if (entry) {
+      schedule[key] = { ...schedule[key], ...entry };
+    } else {
+      delete schedule[key];
+    }
+    await chrome.storage.local.set({ [REFRESH_SCHEDULE_KEY]: schedule });
+  }).catch(e => debugLogger.error('Failed to update refresh schedule:', e));
+  return refreshScheduleWrite;
+}
+
+function scheduleRefreshRule(rule, when) {
+  const key = refreshRuleKey(rule);
+  const delay = when - Date.now();
+
+  clearTimeout(refreshTimers.get(key));
+  refreshTimers.delete(key);
+
+  if (delay < MIN_ALARM_DELAY_MS) {
+    // Sub-minute emulation while the worker is alive
+    refreshTimers.set(key, setTimeout(() => runRefreshRule(key), Math.max(0, delay)));
+  }
+  chrome.alarms.create(REFRESH_ALARM_PREFIX + key, { when: Math.max(when, Date.now() + MIN_ALARM_DELAY_MS) });
+}
+
+// Re-create alarms for the given rules. Refreshes that came due while the
+// browser was closed or the worker was suspended run once (catch-up), not
+// once per missed interval.
+async function rebuildRefreshAlarms(refreshRules) {
+  const rules = refreshRules || [];
+  const keys = new Set(rules.map(refreshRuleKey));
+
+  const alarms = await chrome.alarms.getAll();
+  for (const alarm of alarms) {
+    if (alarm.name.startsWith(REFRESH_ALARM_PREFIX) && !keys.has(alarm.name.slice(REFRESH_ALARM_PREFIX.length))) {
+      await chrome.alarms.clear(alarm.name);
+    }
+  }
+  for (const [key, timer] of refreshTimers.entries()) {
+    if (!keys.has(key)) {
+      clearTimeout(timer);
+      refreshTimers.delete(key);
+    }
+  }
+
+  const schedule = await getRefreshSchedule();
+  for (const key of Object.keys(schedule)) {
+    if (!keys.has(key)) await updateRefreshSchedule(key, null);
+  }
+  await pruneRefreshWatchHistory(keys);
+
+  const now = Date.now();
+  for (const rule of rules) {
+    const key = refreshRuleKey(rule);
+    const intervalMs = rule.interval * 1000;
+    const entry = schedule[key] || {};
+
+    // Interval changed, or first time this rule is scheduled
+    let nextRefreshAt = entry.nextRefreshAt;
+    if (!nextRefreshAt || entry.interval !== rule.interval) {
+      nextRefreshAt = (entry.lastRefreshedAt || now) + intervalMs;
+      await updateRefreshSchedule(key, { interval: rule.interval, nextRefreshAt });
+    }
+
+    if (nextRefreshAt <= now) {
+      debugLogger.log(`Refresh for ${describeRefreshRule(rule)} was due ${Math.round((now - nextRefreshAt) / 1000)}s ago, catching up`);
+      await runRefreshRule(key);
+    } else {
+      scheduleRefreshRule(rule, nextRefreshAt);
+      debugLogger.log(`Scheduled refresh for ${describeRefreshRule(rule)} every ${rule.interval}s (next in ${Math.round((nextRefreshAt - now) / 1000)}s)`);
+    }
+  }
+}
+
+// Active hours: schedule is { days: [0-6, Sunday = 0], start: 'HH:MM', end: 'HH:MM', timeZone }.
+// Missing parts mean every day / all day / this computer's time zone. A window
+// whose end is before its start runs overnight and belongs to the day it starts.
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function parseClockTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+function zonedDayAndMinutes(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone || undefined,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const part = type => parts.find(p => p.type === type).value;
+  return {
+    day: WEEKDAYS.indexOf(part('weekday')),
+    minutes: Number(part('hour')) * 60 + Number(part('minute'))
+  };
+}
+
+function isWithinActiveHours(schedule, date) {
+  if (!schedule) return true;
+
+  let now;
+  try {
+    now = zonedDayAndMinutes(date, schedule.timeZone);
+  } catch (e) {
+    debugLogger.error(`Invalid refresh time zone "${schedule.timeZone}", using local time`);
+    now = zonedDayAndMinutes(date);
+  }
+
+  const days = Array.isArray(schedule.days) && schedule.days.length ? schedule.days : [0, 1, 2, 3, 4, 5, 6];
+  const start = parseClockTime(schedule.start) ?? 0;
+  const end = parseClockTime(schedule.end) ?? 24 * 60;
+
+  if (start <= end) {
+    return days.includes(now.day) && now.minutes >= start && now.minutes < end;
+  }
+  if (now.minutes >= start) return days.includes(now.day);
+  if (now.minutes < end) return days.includes((now.day + 6) % 7);
+  return false;
+}
+
+// Why a rule must not refresh right now, or null
+function refreshInactiveReason(rule, settings, now = Date.now()) {
+  if (settings.refreshPaused) return 'auto refresh is paused';
+  if (settings.refreshPausedUntil > now) {
+    return `auto refresh is snoozed until ${new Date(settings.refreshPausedUntil).toLocaleTimeString()}`;
+  }
+  if (!isWithinActiveHours(rule.schedule, new Date(now))) return 'outside active hours';
+  return null;
+}
+
+async function runRefreshRule(key) {
+  const settings = await storage.getAllSettings();
+  const rule = (settings.refreshRules || []).find(r => refreshRuleKey(r) === key);
+  if (!rule) {
+    debugLogger.log(`Refresh rule ${key} no longer exists, clearing its alarm`);
+    await chrome.alarms.clear(REFRESH_ALARM_PREFIX + key);
+    return;
+  }
+
+  // The timeout and the backstop alarm can both fire for one slot
+  const now = Date.now();
+  const entry = (await getRefreshSchedule())[key] || {};
+  if (entry.nextRefreshAt && now < entry.nextRefreshAt - 1000) {
+    scheduleRefreshRule(rule, entry.nextRefreshAt);
+    return;
+  }
+
+  // Paused or outside active hours: keep the cadence, just don't reload
+  const inactiveReason = refreshInactiveReason(rule, settings, now);
+  if (inactiveReason) {
+    debugLogger.log(`Skipped refresh for ${describeRefreshRule(rule)}: ${inactiveReason}`);
+    const nextRefreshAt = now + rule.interval * 1000;
+    await updateRefreshSchedule(key, { interval: rule.interval, nextRefreshAt, skipReason: inactiveReason });
+    scheduleRefreshRule(rule, nextRefreshAt);
+    return;
+  }
+
+  if (refreshInFlight.has(key)) {
+    // The running refresh schedules the next one when it's done
+    debugLogger.log(`Refresh for ${describeRefreshRule(rule)} is still running, skipping this trigger`);
+    return;
+  }
+  refreshInFlight.add(key);
+  try {
+    await refreshTabsForRule(rule, settings);
+  } finally {
+    refreshInFlight.delete(key);
+  }
+
+  const nextRefreshAt = Date.now() + rule.interval * 1000;
+  await updateRefreshSchedule(key, { interval: rule.interval, lastRefreshedAt: now, nextRefreshAt, skipReason: null });
+  scheduleRefreshRule(rule, nextRefreshAt);
+}
+
+chrome.alarms.onAlarm.addListener(async alarm => {
+  if (!alarm.name.startsWith(REFRESH_ALARM_PREFIX)) return;
+  await runRefreshRule(alarm.name.slice(REFRESH_ALARM_PREFIX.length));
+});
+
+const REFRESH_PROBE_TIMEOUT_MS = 1000;
+
+// Ask the content script whether the user is working in the tab. Resolves to
+// null for pages without the content script (chrome://, Web Store, ...).
+function probeTabForRefresh(tabId) {
+  return new Promise(resolve => {
+    const timer = setTimeout(() => resolve(null), REFRESH_PROBE_TIMEOUT_MS);
+    try {
+      chrome.tabs.sendMessage(tabId, { type: 'refreshProbe' }, response => {
+        clearTimeout(timer);
+        void chrome.runtime.lastError;
+        resolve(response || null);
+      });
+    } catch (e) {
+      clearTimeout(timer);
+      resolve(null);
+    }
+  });
+}
+
+// Returns why the tab should not be reloaded right now, or null
+async function refreshSkipReason(tab, rule, focusedWindowId) {
+  if (rule.skipActive && tab.active && tab.windowId === focusedWindowId) {
+    return 'active tab in the focused window';
+  }
+
+  const typingMs = (rule.skipTypingSeconds || 0) * 1000;
+  if (!rule.skipDirty && !typingMs) return null;
+
+  const probe = await probeTabForRefresh(tab.id);
+  if (!probe) return null;
+  if (typingMs && probe.sinceInputMs !== null && probe.sinceInputMs < typingMs) {
+    return `user typed ${Math.round(probe.sinceInputMs / 1000)}s ago`;
+  }
+  if (rule.skipDirty && probe.dirtyFields > 0) {
+    return `${probe.dirtyFields} field(s) with unsaved input`;
+  }
+  return null;
+}
+
+// Injected into the page (main world, so SPA routers are reachable). Clicks
+// the configured refresh button, or re-triggers the current route, and puts
+// the window and any scrolled containers back where they were.
+function softRefreshPage(selector) {
+  const scrolled = [[document.scrollingElement, window.scrollX, window.scrollY]];
+  document.querySelectorAll('body *').forEach(el => {
+    if (el.scrollTop > 0 || el.scrollLeft > 0) scrolled.push([el, el.scrollLeft, el.scrollTop]);
+  });
+  const restoreScroll = () => {
+    for (const [el, left, top] of scrolled) {
+      if (el && el.isConnected) {
+        el.scrollLeft = left;
+        el.scrollTop = top;
+      }
+    }
+  };
+  // The app re-renders asynchronously after the refresh
+  const scheduleRestore = () => [0, 300, 1000, 2500].forEach(delay => setTimeout(restoreScroll, delay));
+
+  if (selector) {
+    const button = document.querySelector(selector);
+    if (!button) return { success: false, error: `No element matches ${selector}` };
+    button.click();
+    scheduleRestore();
+    return { success: true, method: 'refresh-button' };
+  }
+
+  try {
+    // Zendesk is an Ember app; refresh() re-runs the current route's model hooks
+    const app = window.app || window.Ember || null;
+    const router = app && app.__container__ && app.__container__.lookup('router:main');
+    if (router && typeof router.refresh === 'function') {
+      router.refresh();
+      scheduleRestore();
+      return { success: true, method: 'ember-router' };
+    }
+  } catch (e) {
+    // Fall through: nothing here can re-render the page
+  }
+
+  // A synthetic popstate can't be told apart from a no-op, so let the caller reload
+  return { success: false, error: 'No refresh selector configured and no app router found' };
+}
+
+// Reload a tab the way the rule asks for. Soft refresh needs host access to
+// the page (Zendesk out of the box, other sites once granted from the popup)
+// and falls back to a normal reload.
+async function reloadTabForRule(tab, rule) {
+  const strategy = rule.strategy || 'reload';
+
+  if (strategy === 'soft') {
+    try {
+      const results = await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        world: 'MAIN',
+        func: softRefreshPage,
+        args: [rule.softSelector || '']
+      });
+      const result = results[0]?.result;
+      if (result && result.success) return `soft refresh via ${result.method}`;
+      debugLogger.log(`Soft refresh of tab ${tab.id} failed (${result?.error || 'unknown'}), falling back to reload`);
+    } catch (e) {
+      debugLogger.log(`Soft refresh not possible in tab ${tab.id} (${e.message}), falling back to reload`);
+    }
+  }
+
+  const bypassCache = strategy === 'bypassCache';
+  await chrome.tabs.reload(tab.id, { bypassCache });
+  return bypassCache ? 'reload bypassing cache' : 'reload';
+}
+
+// Change detection: after a refresh, read the text of the rule's watched
+// element(s) through the content script and compare it with what was last
+// seen at the same URL. History is kept in chrome.storage.local as
+// { [ruleKey]: [{ at, url, value, count }] }, one entry per observed change.
+const REFRESH_WATCH_HISTORY_KEY = 'refreshWatchHistory';
+const REFRESH_WATCH_HISTORY_LIMIT = 20;
+const REFRESH_WATCH_TIMEOUT_MS = 15000;
+const SOFT_REFRESH_SETTLE_MS = 2000;
+const REFRESH_CHANGE_NOTIFICATION_PREFIX = 'refresh-change:';
+
+async function getRefreshWatchHistory() {
+  const stored = await chrome.storage.local.get(REFRESH_WATCH_HISTORY_KEY);
+  return stored[REFRESH_WATCH_HISTORY_KEY] || {};
+}
+
+let refreshWatchWrite = Promise.resolve();
+
+function updateRefreshWatchHistory(mutate) {
+  refreshWatchWrite = refreshWatchWrite.then(async () => {
+    const history = await getRefreshWatchHistory();
+    const result = mutate(history);
+    await chrome.storage.local.set({ [REFRESH_WATCH_HISTORY_KEY]: history });
+    return result;
+  }).catch(e => debugLogger.error('Failed to update refresh watch history:', e));
+  return refreshWatchWrite;
+}
+
+function pruneRefreshWatchHistory(keys) {
+  return updateRefreshWatchHistory(history => {
+    for (const key of Object.keys(history)) {
+      if (!keys.has(key)) delete history[key];
+    }
+  });
+}
+
+// Resolves to 'complete', 'error' (network error page), 'timeout' or
+// 'cancelled' (via cancel()). Created before the reload so a fast load
+// can't be missed.
+function waitForTabLoad(tabId, timeoutMs) {
+  let finish;
+  const promise = new Promise(resolve => {
+    let failed = false;
+    const onUpdated = (id, changeInfo) => {
+      if (id === tabId && changeInfo.status === 'complete') finish(failed ? 'error' : 'complete');
+    };
+    const onError = details => {
+      if (details.tabId === tabId && details.frameId === 0) failed = true;
+    };
+    const timer = setTimeout(() => finish('timeout'), timeoutMs);
+    finish = outcome => {
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      chrome.webNavigation.onErrorOccurred.removeListener(onError);
+      resolve(outcome);
+    };
+    chrome.tabs.onUpdated.addListener(onUpdated);
+    chrome.webNavigation.onErrorOccurred.addListener(onError);
+  });
+  promise.cancel = () => finish('cancelled');
+  return promise;
+}
+
+function readWatchedText(tabId, selector) {
+  return new Promise(resolve => {
+    try {
+      chrome.tabs.sendMessage(tabId, { type: 'refreshWatch', selector, timeoutMs: REFRESH_WATCH_TIMEOUT_MS }, response => {
+        void chrome.runtime.lastError;
+        resolve(response || null);
+      });
+    } catch (e) {
+      resolve(null);
+    }
+  });
+}
+
+// outcome is what the reload ended in (see trackRefreshOutcome)
+async function watchRefreshedTab(tab, rule, outcome) {
+  if (outcome === 'soft') {
+    await new Promise(resolve => setTimeout(resolve, SOFT_REFRESH_SETTLE_MS));
+  } else if (outcome !== 'ok') {
+    debugLogger.log(`Tab ${tab.id} did not load cleanly (${outcome}), skipping change detection`);
+    return;
+  }
+
+  const observed = await readWatchedText(tab.id, rule.watchSelector);
+  if (!observed || observed.error) {
+    debugLogger.log(`Could not read "${rule.watchSelector}" in tab ${tab.id}${observed ? `: ${observed.error}` : ''}`);
+    return;
+  }
+
+  const key = refreshRuleKey(rule);
+  const previous = await updateRefreshWatchHistory(history => {
+    const entries = history[key] || [];
+    const last = entries.filter(entry => entry.url === tab.url).pop() || null;
+    if (!last || last.value !== observed.value || last.count !== observed.count) {
+      entries.push({ at: Date.now(), url: tab.url, value: observed.value, count: observed.count });
+      history[key] = entries.slice(-REFRESH_WATCH_HISTORY_LIMIT);
+    }
+    return last;
+  });
+
+  if (!previous) {
+    debugLogger.log(`Watching "${rule.watchSelector}" in tab ${tab.id}: ${observed.value}`);
+    return;
+  }
+  if (previous.value === observed.value && previous.count === observed.count) return;
+
+  const label = describeRefreshRule(rule);
+  debugLogger.log(`Change detected for ${label} in tab ${tab.id}: "${previous.value}" → "${observed.value}"`);
+  flashBadge();
+  if (rule.notifyOnChange) {
+    await showNotification(`${REFRESH_CHANGE_NOTIFICATION_PREFIX}${tab.id}:${Date.now()}`, {
+      title: `${tab.title || label} changed`,
+      message: observed.value || '(empty)',
+      contextMessage: `Was: ${previous.value || '(empty)'}`
+    });
+  }
+}
+
+chrome.notifications.onClicked.addListener(async notificationId => {
+  if (!notificationId.startsWith(REFRESH_CHANGE_NOTIFICATION_PREFIX)) return;
+  const tabId = parseInt(notificationId.slice(REFRESH_CHANGE_NOTIFICATION_PREFIX.length));
+  chrome.notifications.clear(notificationId);
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    await focusTab(tab.id, tab.windowId);
+  } catch (e) {
+    debugLogger.log(`Tab ${tabId} from change notification is gone`);
+  }
+});
+
+// Rate-limit protection. Reloads on one host are capped at
+// refreshMaxPerDomain at a time; a reload that ends in an HTTP error or never
+// completes puts the host into exponential backoff, during which its tabs
+// are skipped. Backoff lives in chrome.storage.session as
+// { [hostname]: { failures, until } } so it survives worker restarts.
+const REFRESH_BACKOFF_KEY = 'refreshBackoff';
+const REFRESH_BACKOFF_BASE_MS = 60 * 1000;
+const REFRESH_BACKOFF_MAX_MS = 30 * 60 * 1000;
+const REFRESH_LOAD_TIMEOUT_MS = 30 * 1000;
+
+async function getRefreshBackoff() {
+  const stored = await chrome.storage.session.get(REFRESH_BACKOFF_KEY);
+  return stored[REFRESH_BACKOFF_KEY] || {};
+}
+
+let refreshBackoffWrite = Promise.resolve();
+
+function recordRefreshResult(host, failed) {
+  refreshBackoffWrite = refreshBackoffWrite.then(async () => {
+    const backoff = await getRefreshBackoff();
+    if (!failed) {
+      if (!backoff[host]) return;
+      debugLogger.log(`Refresh of ${host} succeeded, backoff cleared`);
+      delete backoff[host];
+    } else {
+      const failures = ((backoff[host] && backoff[host].failures) || 0) + 1;
+      const delay = Math.min(REFRESH_BACKOFF_BASE_MS * 2 ** (failures - 1), REFRESH_BACKOFF_MAX_MS);
+      backoff[host] = { failures, until: Date.now() + delay };
+      debugLogger.log(`Refresh of ${host} failed ${failures} time(s) in a row, backing off for ${Math.round(delay / 1000)}s`);
+    }
+    await chrome.storage.session.set({ [REFRESH_BACKOFF_KEY]: backoff });
+  }).catch(e => debugLogger.error('Failed to update refresh backoff:', e));
+  return refreshBackoffWrite;
+}
+
+// hostname -> { active, waiting: [resolve] }
+const refreshSlots = new Map();
+
+// Resolves with a release() once fewer than max reloads are running on host
+function acquireRefreshSlot(host, max) {
+  const slot = refreshSlots.get(host) || { active: 0, waiting: [] };
+  refreshSlots.set(host, slot);
+
+  const release = () => {
+    const next = slot.waiting.shift();
+    if (next) {
+      next(release);
+      return;
+    }
+    slot.active--;
+    if (slot.active === 0) refreshSlots.delete(host);
+  };
+
+  if (slot.active < Math.max(1, max || 1)) {
+    slot.active++;
+    return Promise.resolve(release);
+  }
+  return new Promise(resolve => slot.waiting.push(resolve));
+}
+
+// Wait for the reload to finish and turn it into 'ok', 'soft' or a failure
+// ('error', 'timeout', 'http 429', ...), feeding the host's backoff
+async function trackRefreshOutcome(tab, host, method, loaded) {
+  if (method.startsWith('soft')) {
+    loaded.cancel();
+    return 'soft';
+  }
+
+  let outcome = await loaded;
+  if (outcome === 'complete') {
+    const probe = await probeTabForRefresh(tab.id);
+    const status = probe && probe.responseStatus;
+    outcome = status >= 400 ? `http ${status}` : 'ok';
+  }
+
+  if (outcome !== 'ok') {
+    debugLogger.log(`Refresh of tab ${tab.id} ended in ${outcome}`);
+  }
+  await recordRefreshResult(host, outcome !== 'ok');
+  return outcome;
+}
+
+function refreshDelayMs(rule) {
+  const stagger = (rule.staggerSeconds || 0) * 1000;
+  const jitter = (rule.jitterSeconds || 0) * 1000 * Math.random();
+  return stagger + jitter;
+}
+
+async function refreshTabsForRule(rule, settings = {}) {
+  const label = describeRefreshRule(rule);
+  const matches = compileRefreshMatcher(rule);
+  if (!matches) return;
+
+  try {
+    const tabs = await chrome.tabs.query({});
+    const ruleTabs = tabs.filter(tab => {
+      if (!tab.url) return false;
+      try {
+        return matches(new URL(tab.url));
+      } catch (e) {
+        return false;
+      }
+    });
+    
+    let focusedWindowId = chrome.windows.WINDOW_ID_NONE;
+    if (rule.skipActive) {
+      try {
+        const focused = await chrome.windows.getLastFocused();
+        if (focused.focused) focusedWindowId = focused.id;
+      } catch (e) {
+        // No windows left
+      }
+    }
+
+    const backoff = await getRefreshBackoff();
+
+    // Refresh matching tabs one after another (staggered, capped per host);
+    // waiting for loads and change detection run alongside
+    const pending = [];
+    let reloaded = 0;
+    for (const tab of ruleTabs) {
+      try {
+        const host = new URL(tab.url).hostname;
+        if (backoff[host] && backoff[host].until > Date.now()) {
+          debugLogger.log(`Skipped refresh of tab ${tab.id} for ${label}: ${host} is backing off for ${Math.round((backoff[host].until - Date.now()) / 1000)}s`);
+          continue;
+        }
+
+        const skipReason = await refreshSkipReason(tab, rule, focusedWindowId);
+        if (skipReason) {
+          debugLogger.log(`Skipped refresh of tab ${tab.id} for ${label}: ${skipReason}`);
+          continue;
+        }
+
+        if (reloaded > 0) {
+          const delay = refreshDelayMs(rule);
+          if (delay > 0) await new Promise(resolve => setTimeout(resolve, delay));
+        }
+
+        const release = await acquireRefreshSlot(host, settings.refreshMaxPerDomain);
+        const loaded = waitForTabLoad(tab.id, REFRESH_LOAD_TIMEOUT_MS);
+        let method;
+        try {
+          method = await reloadTabForRule(tab, rule);
+        } catch (e) {
+          loaded.cancel();
+          release();
+          throw e;
+        }
+        reloaded++;
+        debugLogger.log(`Refreshed tab ${tab.id} for ${label} (${method})`);
+
+        // The slot is held until the page has finished loading
+        const outcome = trackRefreshOutcome(tab, host, method, loaded);
+        outcome.then(release, release);
+
+        pending.push(rule.watchSelector ? outcome.then(result => watchRefreshedTab(tab, rule, result)) : outcome);
+      } catch (e) {
+        debugLogger.error(`Failed to refresh tab ${tab.id}:`, e);
+      }
+    }
+    await Promise.all(pending);
+  } catch (e) {
+    debugLogger.error(`Error refreshing tabs for ${label}:`, e);
+  }
+}
+
+// Re-arm refresh alarms (and sub-minute timers) whenever the worker starts
+(async () => {
+  const settings = await storage.getAllSettings();
+  await rebuildRefreshAlarms(settings.refreshRules);
+})();
+
+// Close protection, background layer. protectClose.js relies on beforeunload,
+// which Chrome skips for many tab-strip closes, so protected tabs are
+// snapshotted while open (see protectedTabs) and, once closed, kept in a
+// recently-closed list in chrome.storage.local that the popup and a
+// notification can restore from.
+const CLOSED_PROTECTED_TABS_KEY = 'closedProtectedTabs';
+const CLOSED_PROTECTED_TABS_LIMIT = 20;
+const RESTORE_NOTIFICATION_PREFIX = 'restore-protected:';
+
+let protectDomains = [];
+let protectRules = [];
+
+async function loadProtectDomains() {
+  const settings = await storage.getAllSettings();
+  protectDomains = settings.protectDomains || [];
+  protectRules = settings.protectRules || [];
+}
+
+function protectHostMatches(host, domain) {
+  const d = (domain || '').trim().toLowerCase();
+  return !!d && (host === d || host.endsWith('.' + d));
+}
+
+// Dirty fields only exist in the page, so a rule counts here as soon as its
+// domain and path match, and its title pattern when a title is given
+function isProtectedUrl(url, title) {
+  const host = hostnameOf(url);
+  if (!host) return false;
+  if (protectDomains.some(domain => protectHostMatches(host, domain))) return true;
+  return protectRules.some(rule => {
+    if (!protectHostMatches(host, rule.domain)) return false;
+    if (rule.path && !globToRegExp(rule.path).test(new URL(url).pathname)) return false;
+    if (title === undefined || !rule.titlePattern) return true;
+    try {
+      return new RegExp(rule.titlePattern, 'i').test(title);
+    } catch (e) {
+      return false;
+    }
+  });
+}
+
+function snapshotProtectedTab(tab) {
+  if (!tab || tab.id === undefined) return;
+  if (!tab.url || !isProtectedUrl(tab.url)) {
+    protectedTabs.delete(tab.id);
+    return;
+  }
+
+  // Scroll is reported by the content script; keep it while the URL is unchanged
+  const previous = protectedTabs.get(tab.id);
+  const sameUrl = previous && previous.url === tab.url;
+  protectedTabs.set(tab.id, {
+    url: tab.url,
+    title: tab.title || tab.url,
+    windowId: tab.windowId,
+    index: tab.index,
+    pinned: !!tab.pinned,
+    scrollX: sameUrl ? previous.scrollX : 0,
+    scrollY: sameUrl ? previous.scrollY : 0,
+    at: Date.now()
+  });
+}
+
+async function snapshotAllProtectedTabs() {
+  await tabStateReady;
+  const tabs = await chrome.tabs.query({});
+  const open = new Set(tabs.map(tab => tab.id));
+  for (const tabId of protectedTabs.keys()) {
+    if (!open.has(tabId)) protectedTabs.delete(tabId);
+  }
+  tabs.forEach(snapshotProtectedTab);
+}
+
+async function getClosedProtectedTabs() {
+  const stored = await chrome.storage.local.get(CLOSED_PROTECTED_TABS_KEY);
+  return stored[CLOSED_PROTECTED_TABS_KEY] || [];
+}
+
+async function setClosedProtectedTabs(closed) {
+  await chrome.storage.local.set({ [CLOSED_PROTECTED_TABS_KEY]: closed.slice(0, CLOSED_PROTECTED_TABS_LIMIT) });
+}
+
+// report is the tab's protectCoverage entry, taken before the removal
+// listeners clear it. Every protected tab is offered back, but the
+// notification is skipped when the page said it had nothing unsaved.
+async function recordClosedProtectedTab(tabId, removeInfo, report) {
+  await tabStateReady;
+  report = report || protectCoverage.get(tabId);
+  protectCoverage.delete(tabId);
+  const snapshot = protectedTabs.get(tabId);
+  protectedTabs.delete(tabId);
+  const bypassed = await clearTabProtectOverride(tabId);
+  if (extensionClosedTabs.delete(tabId) || !snapshot) return;
+  if (!isProtectedUrl(snapshot.url, snapshot.title)) {
+    debugLogger.log(`Tab ${tabId} closed, but its protection rule's title condition did not match`);
+    return;
+  }
+
+  const entry = {
+    ...snapshot,
+    id: `${tabId}-${Date.now()}`,
+    closedAt: Date.now(),
+    windowClosing: !!removeInfo.isWindowClosing
+  };
+  await setClosedProtectedTabs([entry, ...(await getClosedProtectedTabs())]);
+  debugLogger.log(`Protected tab ${tabId} closed: ${entry.url}${entry.windowClosing ? ' (window closed)' : ''}`);
+
+  // Closing a whole window, or a tab the user unprotected on purpose, is
+  // deliberate enough; so is one whose installed prompt had nothing to guard.
+  // Those only go to the popup list.
+  const nothingUnsaved = report && report.installed && (!report.armed || report.applies === false);
+  if (!entry.windowClosing && !bypassed && !nothingUnsaved) {
+    await showNotification(RESTORE_NOTIFICATION_PREFIX + entry.id, {
+      title: 'Protected tab closed',
+      message: entry.title,
+      contextMessage: hostnameOf(entry.url) || '',
+      buttons: [{ title: 'Restore tab' }],
+      requireInteraction: true
+    });
+  }
+}
+
+async function reopenClosedTab(entry, { active = true } = {}) {
+  // Its twin may still be open; the user asked for this copy back
+  await allowDuplicateOpen(entry.url);
+  const tab = await restoreOrCreateTab(entry, active);
+  markTabDecided(tab.id, 'reopened');
+  return tab;
+}
+
+// Prefer Chrome's own session restore (keeps history and form state), else
+// reopen the URL where the tab was
+async function restoreOrCreateTab(entry, active) {
+  try {
+    const sessions = await chrome.sessions.getRecentlyClosed({ maxResults: 25 });
+    const match = sessions.find(session => session.tab && session.tab.url === entry.url);
+    if (match) {
+      const restored = await chrome.sessions.restore(match.tab.sessionId);
+      if (restored && restored.tab) return restored.tab;
+    }
+  } catch (e) {
+    debugLogger.log(`Session restore unavailable (${e.message}), reopening the URL`);
+  }
+
+  try {
+    await chrome.windows.get(entry.windowId);
+    return await chrome.tabs.create({ windowId: entry.windowId, index: entry.index, url: entry.url, pinned: entry.pinned, active });
+  } catch (e) {
+    const created = await chrome.windows.create({ url: entry.url, focused: active });
+    return created.tabs[0];
+  }
+}
+
+async function restoreClosedProtectedTab(id) {
+  const closed = await getClosedProtectedTabs();
+  const entry = closed.find(item => item.id === id);
+  if (!entry) return { success: false, error: 'This tab was already restored or has expired' };
+
+  await setClosedProtectedTabs(closed.filter(item => item.id !== id));
+  chrome.notifications.clear(RESTORE_NOTIFICATION_PREFIX + id);
+
+  const tab = await reopenClosedTab(entry);
+  await focusTab(tab.id, tab.windowId);
+  debugLogger.log(`Restored protected tab ${entry.url} as tab ${tab.id}`);
+
+  if (entry.scrollX || entry.scrollY) {
+    if (tab.status !== 'complete') await waitForTabLoad(tab.id, REFRESH_LOAD_TIMEOUT_MS);
+    chrome.tabs.sendMessage(tab.id, { type: 'protectRestoreScroll', scrollX: entry.scrollX, scrollY: entry.scrollY }, () => {
+      void chrome.runtime.lastError;
+    });
+  }
+  return { success: true, tabId: tab.id };
+}
+
+// Temporary overrides: "let me close this tab" (or every protected tab) for
+// protectBypassMinutes. Kept in chrome.storage.session as
+// { tabs: { [tabId]: until }, allUntil } and pushed to the content scripts,
+// which disarm their prompt until then.
+const PROTECT_OVERRIDES_KEY = 'protectOverrides';
+
+async function getProtectOverrides() {
+  const stored = await chrome.storage.session.get(PROTECT_OVERRIDES_KEY);
+  return stored[PROTECT_OVERRIDES_KEY] || { tabs: {}, allUntil: 0 };
+}
+
+let protectOverridesWrite = Promise.resolve();
+
+// Read-modify-write, serialised so toggles in quick succession don't lose
+// each other's changes. Resolves to { overrides, result } after the write.
+function updateProtectOverrides(mutate) {
+  protectOverridesWrite = protectOverridesWrite.then(async () => {
+    const overrides = await getProtectOverrides();
+    const result = mutate(overrides);
+
+    const now = Date.now();
+    for (const [tabId, until] of Object.entries(overrides.tabs)) {
+      if (until <= now) delete overrides.tabs[tabId];
+    }
+    await chrome.storage.session.set({ [PROTECT_OVERRIDES_KEY]: overrides });
+    return { overrides, result };
+  }).catch(e => {
+    debugLogger.error('Failed to update protection overrides:', e);
+    return { overrides: { tabs: {}, allUntil: 0 }, result: undefined };
+  });
+  return protectOverridesWrite;
+}
+
+// When protection comes back for the tab, or 0 if it isn't overridden
+function protectOverrideUntil(overrides, tabId) {
+  const until = Math.max(overrides.tabs[tabId] || 0, overrides.allUntil || 0);
+  return until > Date.now() ? until : 0;
+}
+
+function pushProtectOverride(tabId, until) {
+  chrome.tabs.sendMessage(tabId, { type: 'protectOverride', until }, () => {
+    void chrome.runtime.lastError;
+  });
+}
+
+async function bypassMinutes() {
+  const settings = await storage.getAllSettings();
+  return settings.protectBypassMinutes || 10;
+}
+
+// Toggle: an active override is cancelled, otherwise one is started
+async function toggleTabProtectOverride(tabId) {
+  const durationMs = (await bypassMinutes()) * 60 * 1000;
+  const { overrides } = await updateProtectOverrides(current => {
+    if (current.tabs[tabId] > Date.now()) {
+      delete current.tabs[tabId];
+    } else {
+      current.tabs[tabId] = Date.now() + durationMs;
     }
+  });
+
+  const until = protectOverrideUntil(overrides, tabId);
+  pushProtectOverride(tabId, until);
+  debugLogger.log(until
+    ? `Close protection off for tab ${tabId} until ${new Date(until).toLocaleTimeString()}`
+    : `Close protection back on for tab ${tabId}`);
+  return { tabUntil: overrides.tabs[tabId] || 0, allUntil: overrides.allUntil > Date.now() ? overrides.allUntil : 0 };
+}
+
+async function toggleAllProtectOverride() {
+  const durationMs = (await bypassMinutes()) * 60 * 1000;
+  const { overrides } = await updateProtectOverrides(current => {
+    current.allUntil = current.allUntil > Date.now() ? 0 : Date.now() + durationMs;
+  });
+
+  const tabs = await chrome.tabs.query({});
+  tabs.forEach(tab => pushProtectOverride(tab.id, protectOverrideUntil(overrides, tab.id)));
+  debugLogger.log(overrides.allUntil
+    ? `Close protection off for all tabs until ${new Date(overrides.allUntil).toLocaleTimeString()}`
+    : 'Close protection back on for all tabs');
+  return { allUntil: overrides.allUntil };
+}
+
+// Returns whether the tab had an active override
+async function clearTabProtectOverride(tabId) {
+  // Most closed tabs never had one; skip the write for those
+  const stored = await getProtectOverrides();
+  if (!(tabId in stored.tabs)) return protectOverrideUntil(stored, tabId) > 0;
+  const { result } = await updateProtectOverrides(current => {
+    const active = protectOverrideUntil(current, tabId) > 0;
+    delete current.tabs[tabId];
+    return active;
+  });
+  return !!result;
+}
+
+function recordProtectReport(tab, patch) {
+  if (!tab || tab.id < 0) return;
+  const previous = protectCoverage.get(tab.id) || { installed: false, armed: false, dirtyFields: 0 };
+  protectCoverage.set(tab.id, { ...previous, ...patch, reportedAt: Date.now() });
+}
+
+chrome.webNavigation.onCommitted.addListener(details => {
+  if (details.frameId === 0) protectCoverage.delete(details.tabId);
+});
+
+// armed: the prompt is live; idle: installed, but nothing unsaved to guard
+// (dirty-only protection); waiting: no user gesture yet, so Chrome won't show
+// a prompt; bypassed: "allow closing" override; unreported: no content script
+// answered (page loaded before the extension, discarded, or blocked)
+function protectCoverageState(tab, report, overrides) {
+  if (protectOverrideUntil(overrides, tab.id)) return 'bypassed';
+  if (!report) return tab.discarded ? 'discarded' : 'unreported';
+  if (!report.installed) return 'waiting';
+  return report.armed ? 'armed' : 'idle';
+}
+
+async function getProtectCoverage() {
+  await Promise.all([tabStateReady, loadProtectDomains()]);
+  const [tabs, overrides] = await Promise.all([chrome.tabs.query({}), getProtectOverrides()]);
+  const counts = { armed: 0, idle: 0, waiting: 0, bypassed: 0, unreported: 0, discarded: 0 };
+  const entries = [];
+  for (const tab of tabs) {
+    if (!isProtectedUrl(tab.url)) continue;
+    const report = protectCoverage.get(tab.id);
+    const state = protectCoverageState(tab, report, overrides);
+    counts[state]++;
+    entries.push({
+      tabId: tab.id,
+      windowId: tab.windowId,
+      title: tab.title,
+      url: tab.url,
+      state,
+      dirtyFields: report ? report.dirtyFields : 0,
+      reportedAt: report ? report.reportedAt : 0,
+      bypassUntil: protectOverrideUntil(overrides, tab.id)
+    });
   }
+  return { tabs: entries, counts, totalTabs: tabs.length };
 }
 
-// Refresh functionality
-async function startRefreshTimers(refreshRules) {
-  // Clear existing timers
-  refreshTimers.forEach(timer => clearInterval(timer));
-  refreshTimers.clear();
-  
-  if (!refreshRules || refreshRules.length === 0) return;
-  
-  refreshRules.forEach(rule => {
-    const timer = setInterval(async () => {
-      await refreshTabsForDomain(rule.domain);
-    }, rule.interval * 1000);
-    
-    refreshTimers.set(rule.domain, timer);
-    debugLogger.log(`Started refresh timer for ${rule.domain} every ${rule.interval}s`);
+const PROTECT_MENU_TAB = 'protect-bypass-tab';
+const PROTECT_MENU_ALL = 'protect-bypass-all';
+
+function createProtectMenus() {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: PROTECT_MENU_TAB,
+      title: 'Allow closing this tab without a prompt (toggle)',
+      contexts: ['page', 'action']
+    });
+    chrome.contextMenus.create({
+      id: PROTECT_MENU_ALL,
+      title: 'Pause close protection on all tabs (toggle)',
+      contexts: ['page', 'action']
+    });
   });
 }
 
-async function refreshTabsForDomain(domain) {
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId === PROTECT_MENU_TAB && tab && tab.id >= 0) {
+    toggleTabProtectOverride(tab.id);
+  } else if (info.menuItemId === PROTECT_MENU_ALL) {
+    toggleAllProtectOverride();
+  }
+});
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (command !== 'toggle-tab-protection') return;
+  const target = tab || (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
+  if (target) toggleTabProtectOverride(target.id);
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.url || changeInfo.title || changeInfo.pinned !== undefined || changeInfo.status === 'complete') {
+    snapshotProtectedTab(tab);
+  }
+});
+
+// Moves change the index (and window) that a restore goes back to
+const resnapshotTab = tabId => {
+  if (!protectedTabs.has(tabId)) return;
+  chrome.tabs.get(tabId).then(snapshotProtectedTab).catch(() => {});
+};
+chrome.tabs.onMoved.addListener(resnapshotTab);
+chrome.tabs.onAttached.addListener(resnapshotTab);
+
+chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
+  recordClosedProtectedTab(tabId, removeInfo, protectCoverage.get(tabId)).catch(e => {
+    debugLogger.error('Failed to record closed protected tab:', e);
+  });
+});
+
+chrome.notifications.onClicked.addListener(notificationId => {
+  if (!notificationId.startsWith(RESTORE_NOTIFICATION_PREFIX)) return;
+  restoreClosedProtectedTab(notificationId.slice(RESTORE_NOTIFICATION_PREFIX.length));
+});
+
+chrome.notifications.onButtonClicked.addListener(notificationId => {
+  if (!notificationId.startsWith(RESTORE_NOTIFICATION_PREFIX)) return;
+  restoreClosedProtectedTab(notificationId.slice(RESTORE_NOTIFICATION_PREFIX.length));
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'sync' || (!changes.protectDomains && !changes.protectRules)) return;
+  if (changes.protectDomains) protectDomains = changes.protectDomains.newValue || [];
+  if (changes.protectRules) protectRules = changes.protectRules.newValue || [];
+  snapshotAllProtectedTabs();
+});
+
+(async () => {
+  await loadProtectDomains();
+  await snapshotAllProtectedTabs();
+})();
+
+// Draft rescue: protectClose.js snapshots unsent text on protected pages.
+// Drafts are kept in chrome.storage.local as { [draftKey]: { key, url, title,
+// ticket, fields: [{ key, label, text }], updatedAt } }, one per Zendesk
+// ticket (so /agent/tickets/1 and its #/ hash form share a draft) or per page.
+const DRAFTS_KEY = 'drafts';
+const MAX_DRAFTS = 50;
+
+function draftKeyFor(url) {
+  const normalized = normalizeZendeskUrl(url);
+  const info = classifyZendeskUrl(normalized);
+  if (info && info.type === 'ticket') return { key: `${info.subdomain}/tickets/${info.id}`, ticket: info.id };
   try {
-    const tabs = await chrome.tabs.query({});
-    const domainTabs = tabs.filter(tab => {
-      if (!tab.url) return false;
-      try {
-        const url = new URL(tab.url);
-        return url.hostname === domain || url.hostname.endsWith('.' + domain);
-      } catch (e) {
-        return false;
-      }
-    });
-    
-    // Refresh all matching tabs
-    for (const tab of domainTabs) {
-      try {
-        await chrome.tabs.reload(tab.id);
-        debugLogger.log(`Refreshed tab ${tab.id} for domain ${domain}`);
-      } catch (e) {
-        debugLogger.error(`Failed to refresh tab ${tab.id}:`, e);
-      }
-    }
+    const u = new URL(url);
+    return { key: u.origin + u.pathname, ticket: null };
   } catch (e) {
-    debugLogger.error(`Error refreshing tabs for domain ${domain}:`, e);
+    return { key: url, ticket: null };
   }
 }
 
-// Initialize refresh timers on startup
-(async () => {
-  const settings = await storage.getAllSettings();
-  if (settings.refreshRules && settings.refreshRules.length > 0) {
-    await startRefreshTimers(settings.refreshRules);
+async function getDrafts() {
+  const stored = await chrome.storage.local.get(DRAFTS_KEY);
+  return stored[DRAFTS_KEY] || {};
+}
+
+let draftsWrite = Promise.resolve();
+
+// Every write also applies the expiry policy and the size cap
+function updateDrafts(mutate) {
+  draftsWrite = draftsWrite.then(async () => {
+    const [drafts, settings] = await Promise.all([getDrafts(), storage.getAllSettings()]);
+    const result = mutate(drafts);
+
+    const cutoff = Date.now() - (settings.draftExpiryDays || 7) * 24 * 60 * 60 * 1000;
+    const keep = Object.values(drafts)
+      .filter(draft => draft.updatedAt >= cutoff)
+      .sort((a, b) => b.updatedAt - a.updatedAt)
+      .slice(0, MAX_DRAFTS);
+    const pruned = Object.fromEntries(keep.map(draft => [draft.key, draft]));
+
+    await chrome.storage.local.set({ [DRAFTS_KEY]: pruned });
+    return result;
+  }).catch(e => debugLogger.error('Failed to update drafts:', e));
+  return draftsWrite;
+}
+
+function saveDraft(url, title, fields) {
+  const { key, ticket } = draftKeyFor(url);
+  return updateDrafts(drafts => {
+    drafts[key] = { key, url, title: title || url, ticket, fields, updatedAt: Date.now() };
+  });
+}
+
+function discardDraft(key) {
+  return updateDrafts(drafts => {
+    delete drafts[key];
+  });
+}
+
+// Open (or focus) the draft's page and have the content script fill it back in
+async function restoreDraft(key) {
+  const draft = (await getDrafts())[key];
+  if (!draft) return { success: false, error: 'Draft not found' };
+
+  const tabs = await chrome.tabs.query({});
+  let tab = tabs.find(t => t.url && draftKeyFor(t.url).key === key);
+  if (!tab) tab = await chrome.tabs.create({ url: draft.url, active: true });
+  await focusTab(tab.id, tab.windowId);
+  if (tab.status !== 'complete') await waitForTabLoad(tab.id, REFRESH_LOAD_TIMEOUT_MS);
+
+  const result = await new Promise(resolve => {
+    chrome.tabs.sendMessage(tab.id, { type: 'restoreDraft', fields: draft.fields }, response => {
+      void chrome.runtime.lastError;
+      resolve(response || { success: false });
+    });
+  });
+  debugLogger.log(`Restored ${result.restored || 0}/${draft.fields.length} draft field(s) into tab ${tab.id}`);
+  if (!result.success) {
+    return { success: false, error: 'Could not find the text fields on the page; copy the draft instead' };
   }
-})();
+  return { success: true, restored: result.restored, total: result.total };
+}
+
+// Apply the expiry policy once per worker start
+updateDrafts(() => {});
 
 // Monitor tab changes to update badge
 chrome.tabs.onCreated.addListener(tab => {
@@ -741,7 +2695,11 @@ chrome.tabs.onCreated.addListener(tab => {
     debugLogger.log(`Active: ${tab.active}`);
     debugLogger.log(`========================`);
   }
-  if (tab.id) markTabNew(tab.id);
+  if (tab.id && isRestoredTab(tab)) {
+    debugLogger.log(`Tab ${tab.id} restored by the browser, not treating as new`);
+  } else if (tab.id) {
+    markTabNew(tab.id);
+  }
   updateBadge(); // Update badge when tabs are created
 });
 
@@ -793,9 +2751,29 @@ chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
   }
   navigationTabs.delete(tabId);
   recentNewTabs.delete(tabId);
+  decidedTabs.delete(tabId);
+  protectCoverage.delete(tabId);
+  forgetZendeskHomeTabs(pin => pin.mode === 'tab' && pin.tabId === tabId);
 });
 
-chrome.webNavigation.onCreatedNavigationTarget.addListener(details => {
+chrome.windows.onRemoved.addListener(windowId => {
+  forgetZendeskHomeTabs(pin => pin.mode === 'window' && pin.windowId === windowId);
+});
+
+// A link opened from another site (webmail, chat, ...) rather than from a tab
+// on the same host is a user-initiated open that the reuse logic should decide.
+async function isExternalNavigationTarget(details) {
+  try {
+    const sourceTab = await chrome.tabs.get(details.sourceTabId);
+    const targetHost = hostnameOf(normalizeZendeskUrl(unwrapRedirectUrl(details.url).url));
+    const sourceHost = sourceTab.url && hostnameOf(normalizeZendeskUrl(sourceTab.url));
+    return !!targetHost && targetHost !== sourceHost;
+  } catch {
+    return false;
+  }
+}
+
+chrome.webNavigation.onCreatedNavigationTarget.addListener(async details => {
   if (debugLogger.debugEnabled && isZendeskUrl(details.url)) {
     debugLogger.log(`=== ZENDESK NAVIGATION TARGET CREATED ===`);
     debugLogger.log(`Source Tab ID: ${details.sourceTabId}`);
@@ -804,9 +2782,12 @@ chrome.webNavigation.onCreatedNavigationTarget.addListener(details => {
     debugLogger.log(`Window ID: ${details.windowId}`);
     debugLogger.log(`========================`);
   }
-  // If this was triggered during our tab reuse/navigation, prevent Zendesk from spawning a new tab.
-  // Close the created tab and force the navigation in the source tab instead.
-  if (isNavigating && details.sourceTabId && details.tabId && details.url && (TICKET_ROUTE.test(details.url) || HASH_TICKET_ROUTE.test(details.url))) {
+  // If an agent tab we are routing spawned this tab, prevent Zendesk from opening a new tab.
+  // Close the created tab and force the navigation in the source tab instead. Opens from
+  // anywhere else (webmail, chat) go through the queue like any other ticket open.
+  const targetInfo = details.url && classifyZendeskUrl(normalizeZendeskUrl(details.url));
+  if (targetInfo && targetInfo.id && details.sourceTabId && details.tabId &&
+      isRoutingTargetTab(targetInfo.subdomain, details.sourceTabId)) {
     debugLogger.log(`⚠️ Preventing navigation-target tab ${details.tabId}; forcing navigation in source tab ${details.sourceTabId}`);
     setTimeout(async () => {
       try {
@@ -816,6 +2797,7 @@ chrome.webNavigation.onCreatedNavigationTarget.addListener(details => {
       }
       try {
         if (await tabExists(details.tabId)) {
+          extensionClosedTabs.add(details.tabId);
           await chrome.tabs.remove(details.tabId);
           debugLogger.log(`Closed navigation-target tab ${details.tabId}`);
         }
@@ -833,10 +2815,18 @@ chrome.webNavigation.onCreatedNavigationTarget.addListener(details => {
     navigationTabs.add(details.tabId);
     debugLogger.log(`Marked tab ${details.tabId} as navigation tab`);
   }
+
+  // Links coming from another site are decided now, before the new tab loads
+  if (details.tabId && details.sourceTabId && details.url && await isExternalNavigationTarget(details)) {
+    navigationTabs.delete(details.tabId);
+    if (!recentNewTabs.has(details.tabId)) markTabNew(details.tabId);
+    debugLogger.log(`Tab ${details.tabId} was opened from another site, deciding reuse now`);
+    await handleNavigation({ tabId: details.tabId, url: details.url, frameId: 0 }, 'onCreatedNavigationTarget');
+  }
 });
 
-// Monitor URL changes in Zendesk tabs
-chrome.webNavigation.onBeforeNavigate.addListener(details => {
+// Monitor URL changes in Zendesk tabs and make the reuse decision early
+chrome.webNavigation.onBeforeNavigate.addListener(async details => {
   if (debugLogger.debugEnabled && details.frameId === 0 && isZendeskUrl(details.url)) {
     debugLogger.log(`=== ZENDESK BEFORE NAVIGATE ===`);
     debugLogger.log(`Tab ID: ${details.tabId}`);
@@ -845,19 +2835,26 @@ chrome.webNavigation.onBeforeNavigate.addListener(details => {
     debugLogger.log(`==========================`);
   }
   
-  // Early detection of Teams safelinks
-  if (details.frameId === 0 && TEAMS_SAFEURL.test(details.url)) {
-    const zendeskUrl = extractZendeskUrlFromTeams(details.url);
-    if (zendeskUrl && TICKET_ROUTE.test(zendeskUrl)) {
+  // Early detection of redirect links to Zendesk
+  if (details.frameId === 0) {
+    const unwrapped = unwrapRedirectUrl(details.url);
+    const zendeskUrl = normalizeZendeskUrl(unwrapped.url);
+    if (unwrapped.chain.length > 0 && isRoutableZendeskUrl(zendeskUrl)) {
       if (debugLogger.debugEnabled) {
-        debugLogger.log(`=== TEAMS SAFEURL DETECTED (Early) ===`);
+        debugLogger.log(`=== REDIRECT LINK DETECTED (Early) ===`);
         debugLogger.log(`Tab ID: ${details.tabId}`);
-        debugLogger.log(`Teams URL: ${details.url.substring(0, 100)}...`);
+        debugLogger.log(`Wrappers: ${unwrapped.chain.join(' -> ')}`);
+        debugLogger.log(`Wrapped URL: ${details.url.substring(0, 100)}...`);
         debugLogger.log(`Zendesk URL: ${zendeskUrl}`);
         debugLogger.log(`===================================`);
       }
     }
   }
+
+  // Decide before the page boots so a redundant tab never loads the agent app
+  if (details.frameId === 0) {
+    await handleNavigation(details, 'onBeforeNavigate');
+  }
 });
 
 // Clean up old tab references
@@ -872,6 +2869,13 @@ setInterval(async () => {
     }
   }
   
+  // Forget early reuse decisions once the new-tab window has passed
+  for (const [tabId, decision] of decidedTabs.entries()) {
+    if (now - decision.at > NEW_TAB_WINDOW_MS * 2) {
+      decidedTabs.delete(tabId);
+    }
+  }
+  
   // Clean up navigation tabs for tabs that no longer exist
   for (const tabId of navigationTabs) {
     try {
@@ -903,13 +2907,14 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     // Handle settings update from popup
     storage.updateSettings(message.payload).then(() => {
       // Notify all tabs about the settings change
-      if (message.payload.protectDomains) {
+      if (message.payload.protectDomains || message.payload.protectRules) {
         chrome.tabs.query({}, (tabs) => {
           tabs.forEach(tab => {
             try {
               chrome.tabs.sendMessage(tab.id, {
                 type: 'settingsUpdated',
-                protectDomains: message.payload.protectDomains
+                protectDomains: message.payload.protectDomains,
+                protectRules: message.payload.protectRules
               });
             } catch (e) {
               // Ignore errors for tabs that don't have content script
@@ -937,6 +2942,22 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       sendResponse({ groups });
     });
     return true; // Keep message channel open for async response
+  } else if (message.type === 'previewDuplicateCleanup') {
+    previewDuplicateCleanup().then(groups => {
+      sendResponse({ groups });
+    });
+    return true; // Keep message channel open for async response
+  } else if (message.type === 'closeTrueDuplicates') {
+    closeTrueDuplicates(message.tabIds).then(sendResponse);
+    return true; // Keep message channel open for async response
+  } else if (message.type === 'getDuplicateUndo') {
+    getDuplicateUndo().then(undo => {
+      sendResponse({ undo });
+    });
+    return true; // Keep message channel open for async response
+  } else if (message.type === 'undoDuplicateCleanup') {
+    undoDuplicateCleanup().then(sendResponse);
+    return true; // Keep message channel open for async response
   } else if (message.type === 'alignAllByHostname') {
     alignAllByHostname().then(() => {
       sendResponse({ success: true });
@@ -948,6 +2969,12 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     });
     return true; // Keep message channel open for async response
   } else if (message.type === 'protectCloseStatus') {
+    // Sent on every page load; resets the tab's coverage entry (protected hosts only)
+    if (message.protected) {
+      recordProtectReport(sender.tab, { installed: false, armed: false, dirtyFields: 0 });
+    } else if (sender.tab) {
+      protectCoverage.delete(sender.tab.id);
+    }
     // Log close protection status from content script
     if (debugLogger.debugEnabled) {
       debugLogger.log(`=== CLOSE PROTECTION STATUS ===`);
@@ -958,6 +2985,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     }
     sendResponse({ success: true });
   } else if (message.type === 'protectCloseInstalled') {
+    recordProtectReport(sender.tab, { installed: true });
     // Log when protection is installed
     if (debugLogger.debugEnabled) {
       debugLogger.log(`=== CLOSE PROTECTION INSTALLED ===`);
@@ -979,14 +3007,110 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       debugLogger.log(`=======================================`);
     }
     sendResponse({ success: true });
+  } else if (message.type === 'protectCloseArmed') {
+    recordProtectReport(sender.tab, { installed: message.installed, armed: message.armed, applies: message.applies, dirtyFields: message.dirtyFields });
+    sendResponse({ success: true });
+  } else if (message.type === 'getProtectCoverage') {
+    getProtectCoverage().then(sendResponse);
+    return true; // Keep message channel open for async response
+  } else if (message.type === 'protectScrollSnapshot') {
+    // Scroll position of a protected tab, used when it is restored
+    const snapshot = sender.tab && protectedTabs.get(sender.tab.id);
+    if (snapshot && snapshot.url === sender.tab.url) {
+      protectedTabs.set(sender.tab.id, { ...snapshot, scrollX: message.scrollX, scrollY: message.scrollY, at: Date.now() });
+    }
+    sendResponse({ success: true });
+  } else if (message.type === 'saveDraft') {
+    saveDraft(message.url, message.title, message.fields).then(() => {
+      sendResponse({ success: true });
+    });
+    return true; // Keep message channel open for async response
+  } else if (message.type === 'discardDraft') {
+    discardDraft(message.key || draftKeyFor(message.url).key).then(() => {
+      sendResponse({ success: true });
+    });
+    return true; // Keep message channel open for async response
+  } else if (message.type === 'getDrafts') {
+    updateDrafts(() => {}).then(getDrafts).then(drafts => {
+      const list = Object.values(drafts).sort((a, b) => b.updatedAt - a.updatedAt);
+      sendResponse({ drafts: list });
+    });
+    return true; // Keep message channel open for async response
+  } else if (message.type === 'restoreDraft') {
+    restoreDraft(message.key).then(sendResponse).catch(e => {
+      sendResponse({ success: false, error: e.message });
+    });
+    return true; // Keep message channel open for async response
+  } else if (message.type === 'getProtectOverride') {
+    // From a content script (its own tab) or the popup (tabId given)
+    const tabId = message.tabId ?? sender.tab?.id;
+    getProtectOverrides().then(overrides => {
+      sendResponse({
+        until: protectOverrideUntil(overrides, tabId),
+        tabUntil: overrides.tabs[tabId] > Date.now() ? overrides.tabs[tabId] : 0,
+        allUntil: overrides.allUntil > Date.now() ? overrides.allUntil : 0
+      });
+    });
+    return true; // Keep message channel open for async response
+  } else if (message.type === 'toggleTabProtectOverride') {
+    toggleTabProtectOverride(message.tabId).then(sendResponse);
+    return true; // Keep message channel open for async response
+  } else if (message.type === 'toggleAllProtectOverride') {
+    toggleAllProtectOverride().then(sendResponse);
+    return true; // Keep message channel open for async response
+  } else if (message.type === 'getClosedProtectedTabs') {
+    getClosedProtectedTabs().then(closed => {
+      sendResponse({ closed });
+    });
+    return true; // Keep message channel open for async response
+  } else if (message.type === 'restoreClosedProtectedTab') {
+    restoreClosedProtectedTab(message.id).then(sendResponse).catch(e => {
+      sendResponse({ success: false, error: e.message });
+    });
+    return true; // Keep message channel open for async response
+  } else if (message.type === 'clearClosedProtectedTabs') {
+    setClosedProtectedTabs([]).then(() => {
+      sendResponse({ success: true });
+    });
+    return true; // Keep message channel open for async response
+  } else if (message.type === 'getZendeskHomeTabs') {
+    describeZendeskHomeTabs().then(homeTabs => {
+      sendResponse({ homeTabs });
+    });
+    return true; // Keep message channel open for async response
+  } else if (message.type === 'setZendeskHomeTab') {
+    pinZendeskHomeTab(message.tabId, message.mode).then(sendResponse).catch(e => {
+      sendResponse({ success: false, error: e.message });
+    });
+    return true; // Keep message channel open for async response
+  } else if (message.type === 'clearZendeskHomeTab') {
+    setZendeskHomeTab(message.subdomain, null).then(() => {
+      sendResponse({ success: true });
+    });
+    return true; // Keep message channel open for async response
   } else if (message.type === 'updateBadge') {
     // Manual badge update request
     updateBadge();
     sendResponse({ success: true });
   } else if (message.type === 'updateRefreshRules') {
-    // Update refresh timers
-    startRefreshTimers(message.refreshRules);
+    // Update refresh alarms
+    rebuildRefreshAlarms(message.refreshRules);
     sendResponse({ success: true });
+  } else if (message.type === 'getRefreshSchedule') {
+    Promise.all([getRefreshSchedule(), storage.getAllSettings()]).then(([schedule, settings]) => {
+      // Whether each rule would refresh right now, for the popup
+      const inactive = {};
+      for (const rule of settings.refreshRules || []) {
+        inactive[refreshRuleKey(rule)] = refreshInactiveReason(rule, settings);
+      }
+      sendResponse({ schedule, inactive });
+    });
+    return true; // Keep message channel open for async response
+  } else if (message.type === 'getRefreshWatchHistory') {
+    getRefreshWatchHistory().then(history => {
+      sendResponse({ history });
+    });
+    return true; // Keep message channel open for async response
   }
 });
 
@@ -994,6 +3118,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 chrome.runtime.onInstalled.addListener(async () => {
   console.log('Extension installed/updated');
   await storage.sanitize();
+  createProtectMenus();
   updateBadge(); // Initial badge update on install/update
 });
 
@@ -1009,29 +3134,207 @@ debugLogger.init();
 })();
 
 // Additional functions for duplicate tabs and focus
+
+// Query parameters that only say where a click came from
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|dclid|gbraid|wbraid|msclkid|yclid|mc_cid|mc_eid|_ga|_gl|igshid|ref_src|usp)$/i;
+
+// The URL as duplicate detection sees it, after the dupNormalize rules
+function normalizeDuplicateUrl(url, normalize = {}) {
+  let u;
+  try {
+    u = new URL(url);
+  } catch {
+    return null;
+  }
+
+  if (normalize.zendeskTickets) {
+    // /agent/tickets/1, /agent/#/tickets/1 and the custom-domain form are one ticket
+    const info = classifyZendeskUrl(normalizeZendeskUrl(url));
+    if (info && info.type === 'ticket' && (info.route === 'tickets' || info.route === 'twickets')) {
+      return `https://${info.subdomain}.zendesk.com/agent/tickets/${info.id}`;
+    }
+  }
+
+  if (normalize.stripTracking) {
+    [...u.searchParams.keys()].filter(name => TRACKING_PARAMS.test(name)).forEach(name => u.searchParams.delete(name));
+  }
+  if (normalize.ignoreHash) u.hash = '';
+  // Trailing slashes never make a different page worth keeping twice
+  if (u.pathname.length > 1) u.pathname = u.pathname.replace(/\/+$/, '');
+
+  const normalized = u.toString();
+  return normalize.caseFold ? normalized.toLowerCase() : normalized;
+}
+
+// Grouping key for a tab URL under the configured strategy; null to leave it out
+function duplicateKeyFor(url, settings) {
+  const strategy = settings.dupStrategy || 'hostname';
+  if (strategy === 'hostname') {
+    try {
+      return new URL(url).hostname || null;
+    } catch {
+      return null;
+    }
+  }
+
+  const normalized = normalizeDuplicateUrl(url, settings.dupNormalize || {});
+  if (!normalized) return null;
+  if (strategy === 'fullUrl') return normalized;
+
+  if (strategy === 'custom' && settings.dupCustomPattern) {
+    try {
+      const match = normalized.match(new RegExp(settings.dupCustomPattern, settings.dupNormalize?.caseFold ? 'i' : ''));
+      // URLs the pattern doesn't cover only match identical copies
+      if (!match) return normalized;
+      // Scoped to the site so the same id on two sites isn't a duplicate
+      return `${new URL(normalized).origin} ${match.length > 1 ? match.slice(1).join('|') : match[0]}`;
+    } catch (e) {
+      debugLogger.error(`Invalid duplicate pattern ${settings.dupCustomPattern}:`, e);
+    }
+  }
+
+  // originPath (and custom without a usable pattern)
+  const u = new URL(normalized);
+  return u.origin + (u.pathname === '/' ? '' : u.pathname);
+}
+
 async function getDuplicateGroups() {
-  const tabs = await chrome.tabs.query({});
+  const [tabs, settings] = await Promise.all([chrome.tabs.query({}), storage.getAllSettings()]);
   const groups = {};
   
   tabs.forEach(tab => {
     if (!tab.url) return;
-    try {
-      const url = new URL(tab.url);
-      const key = url.hostname;
-      
-      if (!groups[key]) {
-        groups[key] = { key, tabs: [] };
-      }
-      groups[key].tabs.push(tab);
-    } catch (e) {
-      // Ignore invalid URLs
+    const key = duplicateKeyFor(tab.url, settings);
+    if (!key) return;
+
+    if (!groups[key]) {
+      groups[key] = { key, strategy: settings.dupStrategy || 'hostname', tabs: [] };
     }
+    groups[key].tabs.push(tab);
   });
   
   // Only return groups with duplicates
   return Object.values(groups).filter(group => group.tabs.length > 1);
 }
 
+// "True" duplicates are copies of the same canonical URL (after the
+// dupNormalize rules), whatever dupStrategy the popup groups by. The plan keeps
+// one copy per URL: pinned, then audible, then the most recently used.
+const DUPLICATE_UNDO_KEY = 'duplicateCleanupUndo';
+
+function duplicateKeepScore(tab) {
+  return [tab.pinned ? 1 : 0, tab.audible ? 1 : 0, tab.lastAccessed || 0];
+}
+
+function compareKeepScore(a, b) {
+  const sa = duplicateKeepScore(a);
+  const sb = duplicateKeepScore(b);
+  for (let i = 0; i < sa.length; i++) {
+    if (sa[i] !== sb[i]) return sb[i] - sa[i];
+  }
+  return b.id - a.id;
+}
+
+// Why a copy that would otherwise go is kept, or null to close it
+function duplicateKeepReason(tab) {
+  if (tab.pinned) return 'pinned';
+  if (tab.audible) return 'playing audio';
+  const report = protectCoverage.get(tab.id);
+  if (report && report.dirtyFields > 0) return 'unsaved edits';
+  return null;
+}
+
+async function planDuplicateCleanup() {
+  await tabStateReady;
+  const [tabs, settings] = await Promise.all([chrome.tabs.query({}), storage.getAllSettings()]);
+  const buckets = new Map();
+  for (const tab of tabs) {
+    if (!/^(https?|file):/.test(tab.url || '')) continue;
+    const key = normalizeDuplicateUrl(tab.url, settings.dupNormalize || {});
+    if (!key) continue;
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(tab);
+  }
+
+  const groups = [];
+  for (const [key, copies] of buckets) {
+    if (copies.length < 2) continue;
+    const [keep, ...rest] = copies.sort(compareKeepScore);
+    const close = [];
+    const kept = [];
+    for (const tab of rest) {
+      const reason = duplicateKeepReason(tab);
+      (reason ? kept : close).push(reason ? { tab, reason } : tab);
+    }
+    if (close.length) groups.push({ key, keep, close, kept });
+  }
+  return groups;
+}
+
+function describePlannedTab(tab) {
+  return { id: tab.id, windowId: tab.windowId, index: tab.index, title: tab.title, url: tab.url, pinned: tab.pinned, lastAccessed: tab.lastAccessed };
+}
+
+// Dry run for the popup
+async function previewDuplicateCleanup() {
+  const groups = await planDuplicateCleanup();
+  return groups.map(group => ({
+    key: group.key,
+    keep: describePlannedTab(group.keep),
+    close: group.close.map(describePlannedTab),
+    kept: group.kept.map(({ tab, reason }) => ({ ...describePlannedTab(tab), reason }))
+  }));
+}
+
+// Closes only tabs that were previewed and are still planned for closing:
+// tabs opened or changed since the preview are left alone
+async function closeTrueDuplicates(previewTabIds) {
+  const previewed = new Set(previewTabIds || []);
+  const groups = await planDuplicateCleanup();
+  const closing = groups.flatMap(group => group.close).filter(tab => previewed.has(tab.id));
+  if (closing.length === 0) return { closed: 0 };
+
+  closing.forEach(tab => extensionClosedTabs.add(tab.id));
+  try {
+    await chrome.tabs.remove(closing.map(tab => tab.id));
+  } catch (e) {
+    closing.forEach(tab => extensionClosedTabs.delete(tab.id));
+    debugLogger.error('Failed to close duplicate tabs:', e);
+    return { closed: 0, error: e.message };
+  }
+
+  const undo = { closedAt: Date.now(), tabs: closing.map(describePlannedTab) };
+  await chrome.storage.session.set({ [DUPLICATE_UNDO_KEY]: undo });
+  debugLogger.log(`Closed ${closing.length} of ${previewed.size} previewed duplicate tabs`);
+  updateBadge();
+  return { closed: closing.length, closedAt: undo.closedAt };
+}
+
+async function getDuplicateUndo() {
+  const stored = await chrome.storage.session.get(DUPLICATE_UNDO_KEY);
+  return stored[DUPLICATE_UNDO_KEY] || null;
+}
+
+async function undoDuplicateCleanup() {
+  const undo = await getDuplicateUndo();
+  if (!undo) return { success: false, error: 'Nothing to undo' };
+  await chrome.storage.session.remove(DUPLICATE_UNDO_KEY);
+
+  // Left to right, so each saved index is still meaningful when it's used
+  const ordered = [...undo.tabs].sort((a, b) => a.windowId - b.windowId || a.index - b.index);
+  let reopened = 0;
+  for (const entry of ordered) {
+    try {
+      await reopenClosedTab(entry, { active: false });
+      reopened++;
+    } catch (e) {
+      debugLogger.error(`Failed to reopen ${entry.url}:`, e);
+    }
+  }
+  debugLogger.log(`Undo: reopened ${reopened} of ${ordered.length} duplicate tabs`);
+  return { success: true, reopened };
+}
+
 async function alignAllByHostname() {
   if (debugLogger.debugEnabled) {
     debugLogger.log('=== ALIGNING TABS BY HOSTNAME ===');
@@ -1112,6 +3415,7 @@ async function focusTab(tabId, windowId) {
 
 // Initialize debug logger on startup
 chrome.runtime.onStartup.addListener(async () => {
+  startupRestoreUntil = Date.now() + STARTUP_RESTORE_MS;
   await debugLogger.init();
   updateBadge(); // Initial badge update
 });
@@ -1119,8 +3423,16 @@ chrome.runtime.onStartup.addListener(async () => {
 // Also initialize on first load if already running
 (async () => {
   await debugLogger.init();
+  await loadZendeskInstances();
   updateBadge(); // Initial badge update
 })();
 
+// Keep the cached Zendesk instances in sync with the popup
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'sync' || !changes.zendeskInstances) return;
+  zendeskInstances = changes.zendeskInstances.newValue || DEFAULT_ZENDESK_INSTANCES;
+  debugLogger.log('Zendesk instances changed:', zendeskInstances);
+});
+
 // Initial log
 console.log('Background script initialized - Debug DISABLED by default');
@@ -243,8 +243,14 @@ function setupDebugLogs() {
       return;
     }
     
-    // Get current Zendesk tabs
-    const tabs = await chrome.tabs.query({ url: '*://nexthink.zendesk.com/*' });
+    // Get current Zendesk tabs for every configured instance
+    const settings = await getSettings();
+    const patterns = zendeskInstancePatterns(settings.zendeskInstances);
+    if (patterns.length === 0) {
+      debugLogger.log('=== TEST: No Zendesk instances configured ===');
+      return;
+    }
+    const tabs = await chrome.tabs.query({ url: patterns });
     debugLogger.log(`=== TEST: Found ${tabs.length} Zendesk tabs ===`);
     tabs.forEach(tab => {
       debugLogger.log(`Tab ${tab.id}: ${tab.url} (active: ${tab.active})`);
@@ -285,6 +291,431 @@ function renderProtectList(listEl, domains, onDelete) {
   });
 }
 
+function describeProtectRule(rule) {
+  const conditions = [];
+  if (rule.dirtyOnly) conditions.push('unsaved edits');
+  if (rule.titlePattern) conditions.push(`title matches /${rule.titlePattern}/`);
+  const where = `${rule.domain}${rule.path || '/*'}`;
+  return conditions.length ? `${where} when ${conditions.join(' and ')}` : where;
+}
+
+function renderProtectRuleList(listEl, rules, onDelete) {
+  listEl.innerHTML = '';
+  (rules || []).forEach((rule, idx) => {
+    const li = document.createElement('li');
+    const span = document.createElement('span');
+    span.textContent = describeProtectRule(rule);
+
+    const delBtn = document.createElement('button');
+    delBtn.className = 'small';
+    delBtn.textContent = 'Delete';
+    delBtn.addEventListener('click', () => onDelete(idx));
+
+    li.appendChild(span);
+    li.appendChild(delBtn);
+    listEl.appendChild(li);
+  });
+}
+
+function renderClosedProtectedList(listEl, closed, onRestore) {
+  listEl.innerHTML = '';
+  if (!closed || closed.length === 0) {
+    const li = document.createElement('li');
+    li.className = 'muted';
+    li.textContent = 'No protected tabs closed recently';
+    listEl.appendChild(li);
+    return;
+  }
+
+  closed.forEach(entry => {
+    const li = document.createElement('li');
+    li.style.gap = '8px';
+
+    const span = document.createElement('span');
+    span.style.flex = '1';
+    span.style.overflow = 'hidden';
+    span.textContent = entry.title;
+    span.title = entry.url;
+
+    const info = document.createElement('div');
+    info.className = 'muted';
+    info.textContent = `Closed ${formatRefreshTime(entry.closedAt)}${entry.windowClosing ? ' with its window' : ''}`;
+    span.appendChild(info);
+
+    const restoreBtn = document.createElement('button');
+    restoreBtn.className = 'small';
+    restoreBtn.textContent = 'Restore';
+    restoreBtn.addEventListener('click', () => onRestore(entry.id));
+
+    li.appendChild(span);
+    li.appendChild(restoreBtn);
+    listEl.appendChild(li);
+  });
+}
+
+function draftText(draft) {
+  return draft.fields.map(field => field.text).join('\n\n');
+}
+
+function renderDraftList(listEl, drafts, handlers) {
+  listEl.innerHTML = '';
+  if (!drafts || drafts.length === 0) {
+    const li = document.createElement('li');
+    li.className = 'muted';
+    li.textContent = 'No drafts saved';
+    listEl.appendChild(li);
+    return;
+  }
+
+  drafts.forEach(draft => {
+    const li = document.createElement('li');
+    li.style.gap = '8px';
+
+    const span = document.createElement('span');
+    span.style.flex = '1';
+    span.style.overflow = 'hidden';
+    span.textContent = draft.ticket ? `#${draft.ticket} ${draft.title}` : draft.title;
+    span.title = draft.url;
+
+    const preview = document.createElement('div');
+    preview.className = 'small';
+    const text = draftText(draft);
+    preview.textContent = text.length > 120 ? text.slice(0, 120) + '…' : text;
+    span.appendChild(preview);
+
+    const info = document.createElement('div');
+    info.className = 'muted';
+    info.textContent = `Saved ${formatRefreshTime(draft.updatedAt)}`;
+    span.appendChild(info);
+
+    const actions = document.createElement('span');
+    actions.className = 'actions';
+    [['Copy', handlers.onCopy], ['Restore', handlers.onRestore], ['Delete', handlers.onDelete]].forEach(([label, handler]) => {
+      const btn = document.createElement('button');
+      btn.className = 'small';
+      btn.textContent = label;
+      btn.addEventListener('click', () => handler(draft, btn));
+      actions.appendChild(btn);
+    });
+
+    li.appendChild(span);
+    li.appendChild(actions);
+    listEl.appendChild(li);
+  });
+}
+
+const COVERAGE_STATE_LABELS = {
+  armed: 'Armed',
+  idle: 'Ready (no unsaved edits)',
+  waiting: 'Waiting for a click',
+  bypassed: 'Override active',
+  unreported: 'Not reporting (reload the tab)',
+  discarded: 'Unloaded'
+};
+
+function renderCoverageList(listEl, coverage, onFocus) {
+  listEl.innerHTML = '';
+  if (!coverage || coverage.tabs.length === 0) {
+    const li = document.createElement('li');
+    li.className = 'muted';
+    li.textContent = 'No open tabs on protected domains';
+    listEl.appendChild(li);
+    return;
+  }
+
+  coverage.tabs.forEach(entry => {
+    const li = document.createElement('li');
+    li.style.gap = '8px';
+    li.style.cursor = 'pointer';
+    li.addEventListener('click', () => onFocus(entry));
+
+    const span = document.createElement('span');
+    span.style.flex = '1';
+    span.style.overflow = 'hidden';
+    span.textContent = entry.title || entry.url;
+    span.title = entry.url;
+
+    const info = document.createElement('div');
+    info.className = 'muted';
+    const details = [];
+    if (entry.dirtyFields) details.push(`${entry.dirtyFields} unsaved field${entry.dirtyFields === 1 ? '' : 's'}`);
+    if (entry.bypassUntil) details.push(`protected again at ${formatRefreshTime(entry.bypassUntil)}`);
+    if (entry.reportedAt) details.push(`last report ${formatRefreshTime(entry.reportedAt)}`);
+    info.textContent = details.join(' · ');
+    span.appendChild(info);
+
+    const state = document.createElement('span');
+    state.className = `coverage-state ${entry.state}`;
+    state.textContent = COVERAGE_STATE_LABELS[entry.state] || entry.state;
+
+    li.appendChild(span);
+    li.appendChild(state);
+    listEl.appendChild(li);
+  });
+}
+
+function describeCoverage(coverage) {
+  if (!coverage) return '';
+  const { counts } = coverage;
+  const unprotected = counts.waiting + counts.unreported + counts.discarded;
+  return `${coverage.tabs.length} protected tab${coverage.tabs.length === 1 ? '' : 's'}: ` +
+    `${counts.armed} armed, ${counts.idle} ready, ${unprotected} not yet protected, ${counts.bypassed} overridden`;
+}
+
+// Same as zendeskInstanceHosts in background.js; keep the two in step
+function zendeskInstanceHosts(instance) {
+  const hosts = [`${instance.subdomain}.zendesk.com`];
+  if (instance.customDomain) hosts.push(instance.customDomain.toLowerCase());
+  return hosts;
+}
+
+function zendeskInstancePatterns(instances) {
+  return (instances || []).flatMap(zendeskInstanceHosts).map(host => `*://${host}/*`);
+}
+
+// Accepts "acme", "acme.zendesk.com" or "https://acme.zendesk.com/agent"
+function parseZendeskSubdomain(value) {
+  const host = value.trim().toLowerCase().replace(/^https?:\/\//, '').split('/')[0];
+  const subdomain = host.replace(/\.zendesk\.com$/, '');
+  return /^[a-z0-9-]+$/.test(subdomain) ? subdomain : null;
+}
+
+function renderZendeskInstanceList(listEl, instances, onDelete) {
+  listEl.innerHTML = '';
+  if (!instances || instances.length === 0) {
+    const li = document.createElement('li');
+    li.className = 'muted';
+    li.textContent = 'No Zendesk instances configured';
+    listEl.appendChild(li);
+    return;
+  }
+
+  instances.forEach((instance, idx) => {
+    const li = document.createElement('li');
+    const span = document.createElement('span');
+    span.textContent = zendeskInstanceHosts(instance).join(' + ');
+
+    const delBtn = document.createElement('button');
+    delBtn.className = 'small';
+    delBtn.textContent = 'Delete';
+    delBtn.addEventListener('click', () => onDelete(idx));
+
+    li.appendChild(span);
+    li.appendChild(delBtn);
+    listEl.appendChild(li);
+  });
+}
+
+function renderHomeTabList(listEl, homeTabs, onClear) {
+  listEl.innerHTML = '';
+  if (!homeTabs || homeTabs.length === 0) {
+    const li = document.createElement('li');
+    li.className = 'muted';
+    li.textContent = 'No home tab set - tickets open in the most recently used tab';
+    listEl.appendChild(li);
+    return;
+  }
+
+  homeTabs.forEach(pin => {
+    const li = document.createElement('li');
+    const span = document.createElement('span');
+    span.style.flex = '1';
+    span.style.overflow = 'hidden';
+    span.style.textOverflow = 'ellipsis';
+    span.style.whiteSpace = 'nowrap';
+    span.textContent = pin.mode === 'window'
+      ? `${pin.subdomain}: window ${pin.windowId}`
+      : `${pin.subdomain}: ${pin.title || `tab ${pin.tabId}`}`;
+
+    const clearBtn = document.createElement('button');
+    clearBtn.className = 'small';
+    clearBtn.textContent = 'Clear';
+    clearBtn.addEventListener('click', () => onClear(pin.subdomain));
+
+    li.appendChild(span);
+    li.appendChild(clearBtn);
+    listEl.appendChild(li);
+  });
+}
+
+function refreshRuleKey(rule) {
+  return rule.id;
+}
+
+function formatRefreshTime(timestamp) {
+  if (!timestamp) return '—';
+  const date = new Date(timestamp);
+  const sameDay = date.toDateString() === new Date().toDateString();
+  return sameDay ? date.toLocaleTimeString() : date.toLocaleString();
+}
+
+const REFRESH_MATCH_LABELS = {
+  domain: 'Domain',
+  prefix: 'URL prefix',
+  glob: 'Glob',
+  regex: 'Regex'
+};
+
+// Host access a soft refresh rule needs to script its pages. Glob and regex
+// patterns without a plain host ask for all sites.
+function refreshRuleOrigins(rule) {
+  const hostPart = rule.pattern.replace(/^[a-z]+:\/\//i, '').split('/')[0].split(':')[0].toLowerCase();
+  if (rule.match === 'domain') return [`*://${hostPart}/*`, `*://*.${hostPart}/*`];
+  if (rule.match === 'prefix' && hostPart && !hostPart.includes('*')) return [`*://${hostPart}/*`];
+  if (rule.match === 'glob' && /^(\*\.)?[a-z0-9.-]+$/.test(hostPart)) return [`*://${hostPart}/*`];
+  return ['*://*/*'];
+}
+
+const REFRESH_MATCH_PLACEHOLDERS = {
+  domain: 'example.com',
+  prefix: 'grafana.internal/d/abc',
+  glob: '*.zendesk.com/agent/filters/123*',
+  regex: '^https://[^/]+/agent/filters/(123|456)'
+};
+
+const REFRESH_STRATEGY_LABELS = {
+  reload: 'reload',
+  bypassCache: 'reload bypassing cache',
+  soft: 'soft refresh'
+};
+
+function refreshRulePattern(rule) {
+  return rule.pattern || rule.domain || '';
+}
+
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+// Monday-first, the way the schedule editor lists them
+const WEEKDAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+function describeRefreshSchedule(schedule) {
+  const days = (schedule.days && schedule.days.length ? schedule.days : WEEKDAY_ORDER).slice();
+  days.sort((a, b) => WEEKDAY_ORDER.indexOf(a) - WEEKDAY_ORDER.indexOf(b));
+  const dayText = days.length === 7 ? 'Every day' : days.map(day => WEEKDAY_LABELS[day]).join(', ');
+  const hours = `${schedule.start || '00:00'}–${schedule.end || '24:00'}`;
+  return `${dayText} ${hours}${schedule.timeZone ? ` (${schedule.timeZone})` : ''}`;
+}
+
+function describeRefreshSkips(rule) {
+  const skips = [];
+  if (rule.skipActive) skips.push('active tab');
+  if (rule.skipDirty) skips.push('unsaved input');
+  if (rule.skipTypingSeconds > 0) skips.push(`typing in last ${rule.skipTypingSeconds}s`);
+  return skips.join(', ');
+}
+
+// Starting points for common ticketing/review tools
+const REUSE_RULE_PRESETS = [
+  {
+    name: 'Jira issues',
+    pattern: '^https://([^/]+\\.atlassian\\.net)/browse/([A-Z][A-Z0-9]+-\\d+)',
+    canonical: 'https://$1/browse/$2',
+    target: 'samePattern'
+  },
+  {
+    name: 'GitHub pull requests',
+    pattern: '^https://github\\.com/([^/]+)/([^/]+)/pull/(\\d+)',
+    canonical: 'https://github.com/$1/$2/pull/$3',
+    target: 'samePattern'
+  },
+  {
+    name: 'Salesforce cases',
+    pattern: '^https://([^/]+\\.lightning\\.force\\.com)/lightning/r/Case/(\\w+)/view',
+    canonical: 'https://$1/lightning/r/Case/$2/view',
+    target: 'sameOrigin'
+  },
+  {
+    name: 'ServiceNow incidents',
+    pattern: '^https://([^/]+\\.service-now\\.com)/(?:nav_to\\.do\\?uri=%2F)?incident\\.do(?:\\?|%3F)sys_id(?:=|%3D)(\\w+)',
+    canonical: 'https://$1/incident.do?sys_id=$2',
+    target: 'sameOrigin'
+  }
+];
+
+const REUSE_TARGET_LABELS = {
+  samePattern: 'same pattern',
+  sameOrigin: 'same site',
+  targetPattern: 'custom regex'
+};
+
+function renderReuseRuleList(listEl, rules, onDelete) {
+  listEl.innerHTML = '';
+  if (!rules || rules.length === 0) {
+    const li = document.createElement('li');
+    li.className = 'muted';
+    li.textContent = 'No reuse rules configured';
+    listEl.appendChild(li);
+    return;
+  }
+
+  rules.forEach((rule, idx) => {
+    const li = document.createElement('li');
+    const span = document.createElement('span');
+    span.style.flex = '1';
+    span.style.overflow = 'hidden';
+    span.style.textOverflow = 'ellipsis';
+    span.textContent = `${rule.name || rule.pattern} (${REUSE_TARGET_LABELS[rule.target] || rule.target})`;
+    span.title = `${rule.pattern}\n→ ${rule.canonical || '(matched URL)'}`;
+
+    const delBtn = document.createElement('button');
+    delBtn.className = 'small';
+    delBtn.textContent = 'Delete';
+    delBtn.addEventListener('click', () => onDelete(idx));
+
+    li.appendChild(span);
+    li.appendChild(delBtn);
+    listEl.appendChild(li);
+  });
+}
+
+const DUP_STRATEGY_HINTS = {
+  hostname: 'Groups are by domain.',
+  originPath: 'Groups are tabs showing the same page, whatever the query string.',
+  fullUrl: 'Groups are tabs with the same URL after the rules above.',
+  custom: 'Groups are URLs whose pattern captures match on the same site; others only match identical copies.'
+};
+
+function renderDuplicateCleanupPreview(listEl, groups, onFocusTab) {
+  listEl.innerHTML = '';
+  if (!groups || groups.length === 0) {
+    const li = document.createElement('li');
+    li.className = 'muted';
+    li.textContent = 'No true duplicates open';
+    listEl.appendChild(li);
+    return;
+  }
+
+  groups.forEach(group => {
+    const li = document.createElement('li');
+    const container = document.createElement('div');
+    container.style.width = '100%';
+    container.style.overflow = 'hidden';
+
+    const header = document.createElement('div');
+    header.style.fontWeight = '500';
+    header.textContent = group.keep.title || group.key;
+    header.title = group.key;
+    container.appendChild(header);
+
+    const rows = [
+      [group.keep, `Keep (last used ${formatRefreshTime(group.keep.lastAccessed)})`],
+      ...group.kept.map(tab => [tab, `Keep (${tab.reason})`]),
+      ...group.close.map(tab => [tab, 'Close'])
+    ];
+    rows.forEach(([tab, action]) => {
+      const row = document.createElement('div');
+      row.className = 'small';
+      row.style.cursor = 'pointer';
+      row.textContent = `${action} · window ${tab.windowId}, tab ${tab.index + 1}${tab.pinned ? ' (pinned)' : ''}`;
+      row.title = tab.url;
+      row.addEventListener('click', () => onFocusTab(tab.id, tab.windowId));
+      container.appendChild(row);
+    });
+
+    li.appendChild(container);
+    listEl.appendChild(li);
+  });
+}
+
 function renderDuplicateGroups(listEl, groups, onFocusTab) {
   listEl.innerHTML = '';
   if (!groups || groups.length === 0) {
@@ -310,6 +741,8 @@ function renderDuplicateGroups(listEl, groups, onFocusTab) {
       } catch (e) {
         // Use original key if parsing fails
       }
+      // Finer-grained keys are worth showing in full
+      const label = !group.strategy || group.strategy === 'hostname' ? hostname : group.key;
 
       const header = document.createElement('div');
       header.style.fontWeight = '500';
@@ -319,7 +752,8 @@ function renderDuplicateGroups(listEl, groups, onFocusTab) {
       header.style.alignItems = 'center';
       
       const headerText = document.createElement('span');
-      headerText.textContent = `${hostname} (${group.tabs.length} tabs)`;
+      headerText.textContent = `${label} (${group.tabs.length} tabs)`;
+      headerText.title = group.key;
       header.appendChild(headerText);
       
       // Add close group button
@@ -335,7 +769,7 @@ function renderDuplicateGroups(listEl, groups, onFocusTab) {
       closeGroupBtn.title = 'Close all tabs in this group';
       closeGroupBtn.addEventListener('click', async (e) => {
         e.stopPropagation();
-        if (confirm(`Close all ${group.tabs.length} tabs for ${hostname}?`)) {
+        if (confirm(`Close all ${group.tabs.length} tabs for ${label}?`)) {
           for (const tab of group.tabs) {
             try {
               await chrome.tabs.remove(tab.id);
@@ -482,6 +916,181 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   });
 
+  // Max agent tabs per subdomain
+  const maxAgentTabsInput = document.getElementById('maxAgentTabs');
+  maxAgentTabsInput.value = settings.maxAgentTabs || 1;
+  maxAgentTabsInput.addEventListener('change', async () => {
+    const value = Math.min(10, Math.max(1, parseInt(maxAgentTabsInput.value) || 1));
+    maxAgentTabsInput.value = value;
+    await setSettings({ maxAgentTabs: value });
+  });
+
+  // Zendesk instances
+  const zendeskInstanceList = document.getElementById('zendeskInstanceList');
+  const zendeskSubdomain = document.getElementById('zendeskSubdomain');
+  const zendeskCustomDomain = document.getElementById('zendeskCustomDomain');
+  const zendeskInstanceAdd = document.getElementById('zendeskInstanceAdd');
+
+  // Instance hosts are protected by default: move protectDomains along with
+  // an instance edit, leaving domains the user added by hand alone
+  async function saveZendeskInstances(previousHosts) {
+    const hosts = (settings.zendeskInstances || []).flatMap(zendeskInstanceHosts);
+    const protectDomains = (settings.protectDomains || [])
+      .filter(domain => hosts.includes(domain) || !previousHosts.includes(domain));
+    hosts.forEach(host => {
+      if (!previousHosts.includes(host) && !protectDomains.includes(host)) protectDomains.push(host);
+    });
+    settings.protectDomains = protectDomains;
+    await setSettings({ zendeskInstances: settings.zendeskInstances, protectDomains });
+    renderProtectDomains();
+  }
+
+  function renderZendeskInstances() {
+    renderZendeskInstanceList(zendeskInstanceList, settings.zendeskInstances, async (idx) => {
+      const previousHosts = settings.zendeskInstances.flatMap(zendeskInstanceHosts);
+      settings.zendeskInstances.splice(idx, 1);
+      await saveZendeskInstances(previousHosts);
+      renderZendeskInstances();
+    });
+  }
+
+  renderZendeskInstances();
+
+  zendeskInstanceAdd.addEventListener('click', async () => {
+    const subdomain = parseZendeskSubdomain(zendeskSubdomain.value);
+    if (!subdomain) {
+      alert('Please enter a valid Zendesk subdomain');
+      return;
+    }
+    const customDomain = zendeskCustomDomain.value.trim().toLowerCase()
+      .replace(/^https?:\/\//, '').split('/')[0];
+
+    settings.zendeskInstances = settings.zendeskInstances || [];
+    const previousHosts = settings.zendeskInstances.flatMap(zendeskInstanceHosts);
+    const existing = settings.zendeskInstances.findIndex(i => i.subdomain === subdomain);
+    if (existing >= 0) {
+      settings.zendeskInstances[existing].customDomain = customDomain;
+    } else {
+      settings.zendeskInstances.push({ subdomain, customDomain });
+    }
+    await saveZendeskInstances(previousHosts);
+    renderZendeskInstances();
+
+    zendeskSubdomain.value = '';
+    zendeskCustomDomain.value = '';
+  });
+
+  // Home tab pinning
+  const homeTabList = document.getElementById('homeTabList');
+
+  async function renderHomeTabs() {
+    const response = await rpc('getZendeskHomeTabs');
+    renderHomeTabList(homeTabList, response && response.homeTabs, async (subdomain) => {
+      await rpc('clearZendeskHomeTab', { subdomain });
+      renderHomeTabs();
+    });
+  }
+
+  async function pinCurrent(mode) {
+    const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!activeTab) return;
+    const result = await rpc('setZendeskHomeTab', { tabId: activeTab.id, mode });
+    if (!result || !result.success) {
+      alert((result && result.error) || 'Failed to set home tab');
+      return;
+    }
+    renderHomeTabs();
+  }
+
+  document.getElementById('homeTabPin').addEventListener('click', () => pinCurrent('tab'));
+  document.getElementById('homeWindowPin').addEventListener('click', () => pinCurrent('window'));
+  renderHomeTabs();
+
+  // Tab reuse rules
+  const reuseRulesList = document.getElementById('reuseRulesList');
+  const reusePreset = document.getElementById('reusePreset');
+  const reuseName = document.getElementById('reuseName');
+  const reusePattern = document.getElementById('reusePattern');
+  const reuseCanonical = document.getElementById('reuseCanonical');
+  const reuseTarget = document.getElementById('reuseTarget');
+  const reuseTargetPattern = document.getElementById('reuseTargetPattern');
+  const reuseTargetPatternRow = document.getElementById('reuseTargetPatternRow');
+  const reuseAdd = document.getElementById('reuseAdd');
+
+  function renderReuseRules() {
+    renderReuseRuleList(reuseRulesList, settings.reuseRules, async (idx) => {
+      settings.reuseRules.splice(idx, 1);
+      await setSettings({ reuseRules: settings.reuseRules });
+      renderReuseRules();
+    });
+  }
+
+  REUSE_RULE_PRESETS.forEach((preset, idx) => {
+    const option = document.createElement('option');
+    option.value = String(idx);
+    option.textContent = preset.name;
+    reusePreset.appendChild(option);
+  });
+
+  reusePreset.addEventListener('change', () => {
+    const preset = REUSE_RULE_PRESETS[Number(reusePreset.value)];
+    if (!preset) return;
+    reuseName.value = preset.name;
+    reusePattern.value = preset.pattern;
+    reuseCanonical.value = preset.canonical;
+    reuseTarget.value = preset.target;
+    reuseTargetPatternRow.style.display = 'none';
+  });
+
+  reuseTarget.addEventListener('change', () => {
+    reuseTargetPatternRow.style.display = reuseTarget.value === 'targetPattern' ? '' : 'none';
+  });
+
+  renderReuseRules();
+
+  reuseAdd.addEventListener('click', async () => {
+    const rule = {
+      id: Date.now().toString(36),
+      name: reuseName.value.trim(),
+      pattern: reusePattern.value.trim(),
+      canonical: reuseCanonical.value.trim(),
+      target: reuseTarget.value
+    };
+
+    if (!rule.pattern) {
+      alert('Please enter a URL pattern');
+      return;
+    }
+    if (rule.target === 'targetPattern') {
+      rule.targetPattern = reuseTargetPattern.value.trim();
+      if (!rule.targetPattern) {
+        alert('Please enter a target tab regex');
+        return;
+      }
+    }
+    try {
+      new RegExp(rule.pattern);
+      if (rule.targetPattern) new RegExp(rule.targetPattern);
+    } catch (e) {
+      alert(`Invalid regex: ${e.message}`);
+      return;
+    }
+
+    settings.reuseRules = settings.reuseRules || [];
+    settings.reuseRules.push(rule);
+    await setSettings({ reuseRules: settings.reuseRules });
+    renderReuseRules();
+
+    // Reset form
+    reusePreset.value = '';
+    reuseName.value = '';
+    reusePattern.value = '';
+    reuseCanonical.value = '';
+    reuseTarget.value = 'samePattern';
+    reuseTargetPattern.value = '';
+    reuseTargetPatternRow.style.display = 'none';
+  });
+
   // Protect domains
   const protectList = document.getElementById('protectList');
   const protectDomain = document.getElementById('protectDomain');
@@ -497,6 +1106,54 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   renderProtectDomains();
 
+  const protectDirtyOnly = document.getElementById('protectDirtyOnly');
+  protectDirtyOnly.checked = settings.protectDirtyOnly !== false;
+  protectDirtyOnly.addEventListener('change', async () => {
+    await setSettings({ protectDirtyOnly: protectDirtyOnly.checked });
+  });
+
+  // Temporary "allow closing" overrides
+  const protectBypassTab = document.getElementById('protectBypassTab');
+  const protectBypassAll = document.getElementById('protectBypassAll');
+  const protectBypassMinutes = document.getElementById('protectBypassMinutes');
+  const protectBypassStatus = document.getElementById('protectBypassStatus');
+  const [bypassTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+
+  function renderProtectBypass(state) {
+    const tabUntil = (state && state.tabUntil) || 0;
+    const allUntil = (state && state.allUntil) || 0;
+    protectBypassTab.textContent = tabUntil ? 'Protect this tab again' : 'This tab';
+    protectBypassAll.textContent = allUntil ? 'Protect all tabs again' : 'All tabs';
+    const parts = [];
+    if (tabUntil) parts.push(`this tab until ${formatRefreshTime(tabUntil)}`);
+    if (allUntil) parts.push(`all tabs until ${formatRefreshTime(allUntil)}`);
+    protectBypassStatus.textContent = parts.length ? `Protection lifted for ${parts.join(' and ')}` : '';
+  }
+
+  if (bypassTab) {
+    renderProtectBypass(await rpc('getProtectOverride', { tabId: bypassTab.id }));
+  } else {
+    protectBypassTab.disabled = true;
+  }
+
+  protectBypassMinutes.value = settings.protectBypassMinutes || 10;
+  protectBypassMinutes.addEventListener('change', async () => {
+    const value = Math.min(240, Math.max(1, parseInt(protectBypassMinutes.value) || 10));
+    protectBypassMinutes.value = value;
+    settings.protectBypassMinutes = value;
+    await setSettings({ protectBypassMinutes: value });
+  });
+
+  protectBypassTab.addEventListener('click', async () => {
+    await rpc('toggleTabProtectOverride', { tabId: bypassTab.id });
+    renderProtectBypass(await rpc('getProtectOverride', { tabId: bypassTab.id }));
+  });
+
+  protectBypassAll.addEventListener('click', async () => {
+    await rpc('toggleAllProtectOverride');
+    renderProtectBypass(await rpc('getProtectOverride', { tabId: bypassTab ? bypassTab.id : -1 }));
+  });
+
   protectAdd.addEventListener('click', async () => {
     const domain = protectDomain.value.trim();
     if (!domain) return;
@@ -509,13 +1166,255 @@ document.addEventListener('DOMContentLoaded', async () => {
     protectDomain.value = '';
   });
 
+  // Protection rules
+  const protectRulesList = document.getElementById('protectRulesList');
+  const protectRuleDomain = document.getElementById('protectRuleDomain');
+  const protectRulePath = document.getElementById('protectRulePath');
+  const protectRuleTitle = document.getElementById('protectRuleTitle');
+  const protectRuleDirty = document.getElementById('protectRuleDirty');
+
+  function renderProtectRules() {
+    renderProtectRuleList(protectRulesList, settings.protectRules, async (idx) => {
+      settings.protectRules.splice(idx, 1);
+      await setSettings({ protectRules: settings.protectRules });
+      renderProtectRules();
+    });
+  }
+
+  renderProtectRules();
+
+  document.getElementById('protectRuleAdd').addEventListener('click', async () => {
+    const rule = {
+      id: Date.now().toString(36),
+      domain: protectRuleDomain.value.trim().toLowerCase(),
+      path: protectRulePath.value.trim(),
+      dirtyOnly: protectRuleDirty.checked,
+      titlePattern: protectRuleTitle.value.trim()
+    };
+
+    if (!rule.domain) {
+      alert('Please enter a domain');
+      return;
+    }
+    if (rule.path && !rule.path.startsWith('/')) rule.path = '/' + rule.path;
+    if (rule.titlePattern) {
+      try {
+        new RegExp(rule.titlePattern);
+      } catch (e) {
+        alert(`Invalid regex: ${e.message}`);
+        return;
+      }
+    }
+
+    settings.protectRules = settings.protectRules || [];
+    settings.protectRules.push(rule);
+    await setSettings({ protectRules: settings.protectRules });
+    renderProtectRules();
+
+    // Reset form
+    protectRuleDomain.value = '';
+    protectRulePath.value = '';
+    protectRuleTitle.value = '';
+    protectRuleDirty.checked = false;
+  });
+
+  // Recently closed protected tabs
+  const closedProtectedList = document.getElementById('closedProtectedList');
+
+  async function renderClosedProtectedTabs() {
+    const response = await rpc('getClosedProtectedTabs');
+    renderClosedProtectedList(closedProtectedList, response && response.closed, async (id) => {
+      const result = await rpc('restoreClosedProtectedTab', { id });
+      if (!result || !result.success) alert((result && result.error) || 'Failed to restore tab');
+      renderClosedProtectedTabs();
+    });
+  }
+
+  document.getElementById('closedProtectedClear').addEventListener('click', async () => {
+    await rpc('clearClosedProtectedTabs');
+    renderClosedProtectedTabs();
+  });
+  renderClosedProtectedTabs();
+
   // Refresh rules
   const refreshRulesList = document.getElementById('refreshRulesList');
-  const refreshDomain = document.getElementById('refreshDomain');
+  const refreshMatch = document.getElementById('refreshMatch');
+  const refreshPattern = document.getElementById('refreshPattern');
   const refreshInterval = document.getElementById('refreshInterval');
+  const refreshStrategy = document.getElementById('refreshStrategy');
+  const refreshSoftSelector = document.getElementById('refreshSoftSelector');
+  const refreshSoftSelectorRow = document.getElementById('refreshSoftSelectorRow');
+  const refreshWatchSelector = document.getElementById('refreshWatchSelector');
+  const refreshNotifyOnChange = document.getElementById('refreshNotifyOnChange');
+  const refreshScheduleEnabled = document.getElementById('refreshScheduleEnabled');
+  const refreshScheduleRow = document.getElementById('refreshScheduleRow');
+  const refreshDays = document.getElementById('refreshDays');
+  const refreshStart = document.getElementById('refreshStart');
+  const refreshEnd = document.getElementById('refreshEnd');
+  const refreshTimeZone = document.getElementById('refreshTimeZone');
+  const refreshPauseToggle = document.getElementById('refreshPauseToggle');
+  const refreshSnooze = document.getElementById('refreshSnooze');
+  const refreshPauseStatus = document.getElementById('refreshPauseStatus');
+  const refreshStagger = document.getElementById('refreshStagger');
+  const refreshJitter = document.getElementById('refreshJitter');
+  const refreshMaxPerDomain = document.getElementById('refreshMaxPerDomain');
+  const refreshSkipActive = document.getElementById('refreshSkipActive');
+  const refreshSkipDirty = document.getElementById('refreshSkipDirty');
+  const refreshSkipTyping = document.getElementById('refreshSkipTyping');
   const refreshAdd = document.getElementById('refreshAdd');
+  let editingRefreshIdx = -1;
+
+  const refreshDayInputs = WEEKDAY_ORDER.map(day => {
+    const label = document.createElement('label');
+    label.className = 'inline';
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.value = String(day);
+    label.appendChild(input);
+    label.appendChild(document.createTextNode(WEEKDAY_LABELS[day]));
+    refreshDays.appendChild(label);
+    return input;
+  });
+
+  function readRefreshSchedule() {
+    if (!refreshScheduleEnabled.checked) return null;
+
+    const days = refreshDayInputs.filter(input => input.checked).map(input => Number(input.value));
+    if (days.length === 0) {
+      alert('Please pick at least one day');
+      return undefined;
+    }
+
+    const timeZone = refreshTimeZone.value.trim();
+    if (timeZone) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+      } catch (e) {
+        alert(`Unknown time zone: ${timeZone}`);
+        return undefined;
+      }
+    }
+
+    return { days, start: refreshStart.value, end: refreshEnd.value, timeZone };
+  }
+
+  function fillRefreshSchedule(schedule) {
+    refreshScheduleEnabled.checked = !!schedule;
+    refreshScheduleRow.style.display = schedule ? '' : 'none';
+    const days = schedule && schedule.days && schedule.days.length ? schedule.days : [1, 2, 3, 4, 5];
+    refreshDayInputs.forEach(input => {
+      input.checked = days.includes(Number(input.value));
+    });
+    refreshStart.value = (schedule && schedule.start) || '08:00';
+    refreshEnd.value = (schedule && schedule.end) || '18:00';
+    refreshTimeZone.value = (schedule && schedule.timeZone) || '';
+  }
+
+  function readRefreshForm() {
+    const match = refreshMatch.value;
+    const pattern = refreshPattern.value.trim();
+    const interval = parseInt(refreshInterval.value);
+    const schedule = readRefreshSchedule();
+
+    if (schedule === undefined) return null;
+
+    if (!pattern) {
+      alert(match === 'domain' ? 'Please enter a domain' : 'Please enter a URL pattern');
+      return null;
+    }
+
+    if (match === 'regex') {
+      try {
+        new RegExp(pattern);
+      } catch (e) {
+        alert(`Invalid regex: ${e.message}`);
+        return null;
+      }
+    }
+
+    if (!(interval >= 10)) {
+      alert('Minimum interval is 10 seconds');
+      return null;
+    }
+
+    return {
+      match,
+      pattern,
+      interval,
+      strategy: refreshStrategy.value,
+      softSelector: refreshStrategy.value === 'soft' ? refreshSoftSelector.value.trim() : '',
+      watchSelector: refreshWatchSelector.value.trim(),
+      notifyOnChange: refreshNotifyOnChange.checked,
+      schedule,
+      staggerSeconds: Math.max(0, parseInt(refreshStagger.value) || 0),
+      jitterSeconds: Math.max(0, parseInt(refreshJitter.value) || 0),
+      skipActive: refreshSkipActive.checked,
+      skipDirty: refreshSkipDirty.checked,
+      skipTypingSeconds: Math.max(0, parseInt(refreshSkipTyping.value) || 0)
+    };
+  }
+
+  function fillRefreshForm(rule) {
+    refreshMatch.value = rule.match || 'domain';
+    refreshPattern.value = refreshRulePattern(rule);
+    refreshPattern.placeholder = REFRESH_MATCH_PLACEHOLDERS[refreshMatch.value];
+    refreshInterval.value = rule.interval;
+    refreshStrategy.value = rule.strategy || 'reload';
+    refreshSoftSelector.value = rule.softSelector || '';
+    refreshSoftSelectorRow.style.display = refreshStrategy.value === 'soft' ? '' : 'none';
+    refreshWatchSelector.value = rule.watchSelector || '';
+    refreshNotifyOnChange.checked = !!rule.notifyOnChange;
+    fillRefreshSchedule(rule.schedule);
+    refreshStagger.value = rule.staggerSeconds || 0;
+    refreshJitter.value = rule.jitterSeconds || 0;
+    refreshSkipActive.checked = !!rule.skipActive;
+    refreshSkipDirty.checked = !!rule.skipDirty;
+    refreshSkipTyping.value = rule.skipTypingSeconds || 0;
+  }
+
+  function resetRefreshForm() {
+    editingRefreshIdx = -1;
+    refreshMatch.value = 'domain';
+    refreshPattern.value = '';
+    refreshPattern.placeholder = REFRESH_MATCH_PLACEHOLDERS.domain;
+    refreshInterval.value = 60;
+    refreshStrategy.value = 'reload';
+    refreshSoftSelector.value = '';
+    refreshSoftSelectorRow.style.display = 'none';
+    refreshWatchSelector.value = '';
+    refreshNotifyOnChange.checked = true;
+    fillRefreshSchedule(null);
+    refreshStagger.value = 2;
+    refreshJitter.value = 3;
+    // Same as a rule saved before these options existed: no skipping
+    refreshSkipActive.checked = false;
+    refreshSkipDirty.checked = false;
+    refreshSkipTyping.value = 0;
+    refreshAdd.textContent = 'Add Rule';
+  }
+
+  async function saveRefreshRules() {
+    await setSettings({ refreshRules: settings.refreshRules });
+    renderRefreshRules();
+
+    // Notify background to reschedule refresh alarms
+    try {
+      await chrome.runtime.sendMessage({
+        type: 'updateRefreshRules',
+        refreshRules: settings.refreshRules
+      });
+    } catch (e) {
+      console.error('Failed to update refresh rules:', e);
+    }
+  }
+
+  async function renderRefreshRules() {
+    const response = await rpc('getRefreshSchedule');
+    const schedule = (response && response.schedule) || {};
+    const inactive = (response && response.inactive) || {};
+    const watchResponse = await rpc('getRefreshWatchHistory');
+    const watchHistory = (watchResponse && watchResponse.history) || {};
 
-  function renderRefreshRules() {
     refreshRulesList.innerHTML = '';
     if (!settings.refreshRules || settings.refreshRules.length === 0) {
       const li = document.createElement('li');
@@ -533,50 +1432,72 @@ document.addEventListener('DOMContentLoaded', async () => {
       
       const span = document.createElement('span');
       span.style.flex = '1';
-      span.textContent = `${rule.domain} - every ${rule.interval}s`;
+      const match = rule.match || 'domain';
+      span.textContent = match === 'domain'
+        ? `${refreshRulePattern(rule)} - every ${rule.interval}s`
+        : `${REFRESH_MATCH_LABELS[match] || match}: ${refreshRulePattern(rule)} - every ${rule.interval}s`;
+
+      const strategy = rule.strategy || 'reload';
+      if (strategy !== 'reload') {
+        const strategyInfo = document.createElement('div');
+        strategyInfo.className = 'small';
+        strategyInfo.textContent = rule.softSelector
+          ? `Using ${REFRESH_STRATEGY_LABELS[strategy]} (clicks ${rule.softSelector})`
+          : `Using ${REFRESH_STRATEGY_LABELS[strategy] || strategy}`;
+        span.appendChild(strategyInfo);
+      }
+
+      if (rule.staggerSeconds || rule.jitterSeconds) {
+        const spacing = document.createElement('div');
+        spacing.className = 'small';
+        spacing.textContent = `Tabs ${rule.staggerSeconds || 0}s apart, plus up to ${rule.jitterSeconds || 0}s random`;
+        span.appendChild(spacing);
+      }
+
+      const skips = describeRefreshSkips(rule);
+      if (skips) {
+        const skipInfo = document.createElement('div');
+        skipInfo.className = 'small';
+        skipInfo.textContent = `Skips: ${skips}`;
+        span.appendChild(skipInfo);
+      }
+
+      if (rule.watchSelector) {
+        const observed = watchHistory[refreshRuleKey(rule)] || [];
+        const latest = observed[observed.length - 1];
+        const watchInfo = document.createElement('div');
+        watchInfo.className = 'small';
+        watchInfo.textContent = latest
+          ? `Watching ${rule.watchSelector}: ${latest.value || '(empty)'} (since ${formatRefreshTime(latest.at)})`
+          : `Watching ${rule.watchSelector}: nothing observed yet`;
+        watchInfo.title = observed.slice(-5).reverse()
+          .map(item => `${formatRefreshTime(item.at)}  ${item.value || '(empty)'}`)
+          .join('\n');
+        span.appendChild(watchInfo);
+      }
+
+      if (rule.schedule) {
+        const scheduleInfo = document.createElement('div');
+        scheduleInfo.className = 'small';
+        scheduleInfo.textContent = `Active: ${describeRefreshSchedule(rule.schedule)}`;
+        span.appendChild(scheduleInfo);
+      }
+
+      const entry = schedule[refreshRuleKey(rule)] || {};
+      const timing = document.createElement('div');
+      timing.className = 'muted';
+      timing.textContent = `Last: ${formatRefreshTime(entry.lastRefreshedAt)} · Next: ${formatRefreshTime(entry.nextRefreshAt)}`;
+      const inactiveReason = inactive[refreshRuleKey(rule)];
+      if (inactiveReason) timing.textContent += ` · not refreshing: ${inactiveReason}`;
+      span.appendChild(timing);
 
       const editBtn = document.createElement('button');
       editBtn.className = 'small';
       editBtn.textContent = 'Edit';
       editBtn.addEventListener('click', () => {
-        // Populate the form with existing values
-        refreshDomain.value = rule.domain;
-        refreshInterval.value = rule.interval;
+        editingRefreshIdx = idx;
+        fillRefreshForm(rule);
         refreshAdd.textContent = 'Update Rule';
-        refreshAdd.onclick = async () => {
-          const newDomain = refreshDomain.value.trim();
-          const newInterval = parseInt(refreshInterval.value);
-          
-          if (!newDomain) {
-            alert('Please enter a domain');
-            return;
-          }
-          
-          if (newInterval < 10) {
-            alert('Minimum interval is 10 seconds');
-            return;
-          }
-          
-          settings.refreshRules[idx] = { domain: newDomain, interval: newInterval };
-          await setSettings({ refreshRules: settings.refreshRules });
-          renderRefreshRules();
-          
-          // Reset button
-          refreshAdd.textContent = 'Add Rule';
-          refreshAdd.onclick = null;
-          refreshDomain.value = '';
-          refreshInterval.value = 60;
-          
-          // Notify background
-          try {
-            await chrome.runtime.sendMessage({
-              type: 'updateRefreshRules',
-              refreshRules: settings.refreshRules
-            });
-          } catch (e) {
-            console.error('Failed to update refresh rules:', e);
-          }
-        };
       });
 
       const delBtn = document.createElement('button');
@@ -584,18 +1505,9 @@ document.addEventListener('DOMContentLoaded', async () => {
       delBtn.textContent = 'Delete';
       delBtn.addEventListener('click', async () => {
         settings.refreshRules.splice(idx, 1);
-        await setSettings({ refreshRules: settings.refreshRules });
-        renderRefreshRules();
-        
-        // Notify background
-        try {
-          await chrome.runtime.sendMessage({
-            type: 'updateRefreshRules',
-            refreshRules: settings.refreshRules
-          });
-        } catch (e) {
-          console.error('Failed to update refresh rules:', e);
-        }
+        if (editingRefreshIdx === idx) resetRefreshForm();
+        else if (editingRefreshIdx > idx) editingRefreshIdx--;
+        await saveRefreshRules();
       });
 
       li.appendChild(span);
@@ -605,52 +1517,144 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
   }
 
+  refreshScheduleEnabled.addEventListener('change', () => {
+    refreshScheduleRow.style.display = refreshScheduleEnabled.checked ? '' : 'none';
+  });
+
+  function renderRefreshPause() {
+    const snoozed = settings.refreshPausedUntil > Date.now();
+    refreshPauseToggle.textContent = settings.refreshPaused || snoozed ? 'Resume' : 'Pause all';
+    if (settings.refreshPaused) {
+      refreshPauseStatus.textContent = 'Auto refresh is paused.';
+    } else if (snoozed) {
+      refreshPauseStatus.textContent = `Auto refresh is snoozed until ${formatRefreshTime(settings.refreshPausedUntil)}.`;
+    } else {
+      refreshPauseStatus.textContent = '';
+    }
+  }
+
+  async function setRefreshPause(patch) {
+    Object.assign(settings, patch);
+    await setSettings(patch);
+    renderRefreshPause();
+    renderRefreshRules();
+  }
+
+  refreshPauseToggle.addEventListener('click', async () => {
+    const running = !settings.refreshPaused && !(settings.refreshPausedUntil > Date.now());
+    await setRefreshPause({ refreshPaused: running, refreshPausedUntil: 0 });
+  });
+
+  refreshSnooze.addEventListener('change', async () => {
+    const minutes = Number(refreshSnooze.value);
+    refreshSnooze.value = '';
+    if (!minutes) return;
+    await setRefreshPause({ refreshPaused: false, refreshPausedUntil: Date.now() + minutes * 60 * 1000 });
+  });
+
+  renderRefreshPause();
+
+  refreshMaxPerDomain.value = settings.refreshMaxPerDomain || 2;
+  refreshMaxPerDomain.addEventListener('change', async () => {
+    const value = Math.min(10, Math.max(1, parseInt(refreshMaxPerDomain.value) || 1));
+    refreshMaxPerDomain.value = value;
+    settings.refreshMaxPerDomain = value;
+    await setSettings({ refreshMaxPerDomain: value });
+  });
+
+  refreshStrategy.addEventListener('change', () => {
+    refreshSoftSelectorRow.style.display = refreshStrategy.value === 'soft' ? '' : 'none';
+  });
+
+  refreshMatch.addEventListener('change', () => {
+    refreshPattern.placeholder = REFRESH_MATCH_PLACEHOLDERS[refreshMatch.value];
+  });
+
+  resetRefreshForm();
   renderRefreshRules();
 
   refreshAdd.addEventListener('click', async () => {
-    const domain = refreshDomain.value.trim();
-    const interval = parseInt(refreshInterval.value);
-    
-    if (!domain) {
-      alert('Please enter a domain');
-      return;
-    }
-    
-    if (interval < 10) {
-      alert('Minimum interval is 10 seconds');
-      return;
+    const rule = readRefreshForm();
+    if (!rule) return;
+
+    // Asked for while the click still counts as a user gesture
+    if (rule.strategy === 'soft') {
+      const origins = refreshRuleOrigins(rule);
+      const granted = await chrome.permissions.request({ origins }).catch(() => false);
+      if (!granted) {
+        alert('Without access to these pages the rule reloads them instead of refreshing in place.');
+      }
     }
-    
+
     settings.refreshRules = settings.refreshRules || [];
-    
-    // Check if rule already exists
-    const existing = settings.refreshRules.findIndex(r => r.domain === domain);
+
+    // Editing keeps the rule's id (and with it its schedule); adding a pattern
+    // that already has a rule updates that rule instead of duplicating it
+    const existing = editingRefreshIdx >= 0
+      ? editingRefreshIdx
+      : settings.refreshRules.findIndex(r => (r.match || 'domain') === rule.match && refreshRulePattern(r) === rule.pattern);
     if (existing >= 0) {
-      settings.refreshRules[existing].interval = interval;
+      const { domain, ...previous } = settings.refreshRules[existing];
+      settings.refreshRules[existing] = { ...previous, ...rule, id: previous.id || Date.now().toString(36) };
     } else {
-      settings.refreshRules.push({ domain, interval });
-    }
-    
-    await setSettings({ refreshRules: settings.refreshRules });
-    renderRefreshRules();
-    
-    // Reset form
-    refreshDomain.value = '';
-    refreshInterval.value = 60;
-    refreshAdd.textContent = 'Add Rule';
-    refreshAdd.onclick = null;
-    
-    // Notify background to start/stop refresh timers
-    try {
-      await chrome.runtime.sendMessage({
-        type: 'updateRefreshRules',
-        refreshRules: settings.refreshRules
-      });
-    } catch (e) {
-      console.error('Failed to update refresh rules:', e);
+      settings.refreshRules.push({ id: Date.now().toString(36), ...rule });
     }
+
+    resetRefreshForm();
+    await saveRefreshRules();
+  });
+
+  // Drafts
+  const draftList = document.getElementById('draftList');
+  const draftExpiryDays = document.getElementById('draftExpiryDays');
+
+  async function renderDrafts() {
+    const response = await rpc('getDrafts');
+    renderDraftList(draftList, response && response.drafts, {
+      onCopy: async (draft, btn) => {
+        await navigator.clipboard.writeText(draftText(draft));
+        btn.textContent = 'Copied!';
+        setTimeout(() => {
+          btn.textContent = 'Copy';
+        }, 2000);
+      },
+      onRestore: async (draft) => {
+        const result = await rpc('restoreDraft', { key: draft.key });
+        if (!result || !result.success) alert((result && result.error) || 'Failed to restore draft');
+      },
+      onDelete: async (draft) => {
+        await rpc('discardDraft', { key: draft.key });
+        renderDrafts();
+      }
+    });
+  }
+
+  draftExpiryDays.value = settings.draftExpiryDays || 7;
+  draftExpiryDays.addEventListener('change', async () => {
+    const value = Math.min(90, Math.max(1, parseInt(draftExpiryDays.value) || 7));
+    draftExpiryDays.value = value;
+    await setSettings({ draftExpiryDays: value });
+    renderDrafts();
   });
 
+  document.getElementById('draftsRefresh').addEventListener('click', renderDrafts);
+  renderDrafts();
+
+  // Close protection coverage
+  const coverageList = document.getElementById('coverageList');
+  const coverageSummary = document.getElementById('coverageSummary');
+
+  async function renderCoverage() {
+    const coverage = await rpc('getProtectCoverage');
+    coverageSummary.textContent = describeCoverage(coverage);
+    renderCoverageList(coverageList, coverage, entry => focusTab(entry.tabId, entry.windowId));
+  }
+
+  document.getElementById('coverageRefresh').addEventListener('click', renderCoverage);
+  renderCoverage();
+  // Arming follows typing, so keep the view live while the popup is open
+  setInterval(renderCoverage, 2000);
+
   // Duplicate tabs
   const dupGroups = document.getElementById('dupGroups');
   const dupRefresh = document.getElementById('dupRefresh');
@@ -664,8 +1668,142 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
   }
 
+  // Duplicate detection strategy
+  const dupStrategy = document.getElementById('dupStrategy');
+  const dupCustomPattern = document.getElementById('dupCustomPattern');
+  const dupCustomPatternRow = document.getElementById('dupCustomPatternRow');
+  const dupNormalizeRow = document.getElementById('dupNormalizeRow');
+  const dupHint = document.getElementById('dupHint');
+  const dupNormalizeInputs = {
+    stripTracking: document.getElementById('dupStripTracking'),
+    ignoreHash: document.getElementById('dupIgnoreHash'),
+    caseFold: document.getElementById('dupCaseFold'),
+    zendeskTickets: document.getElementById('dupZendeskTickets')
+  };
+
+  function syncDupStrategyControls() {
+    dupCustomPatternRow.style.display = dupStrategy.value === 'custom' ? '' : 'none';
+    // Normalisation doesn't change a hostname
+    dupNormalizeRow.style.display = dupStrategy.value === 'hostname' ? 'none' : '';
+    dupHint.textContent = `Click a tab entry to jump to it. ${DUP_STRATEGY_HINTS[dupStrategy.value]}`;
+  }
+
+  dupStrategy.value = settings.dupStrategy || 'hostname';
+  dupCustomPattern.value = settings.dupCustomPattern || '';
+  Object.entries(dupNormalizeInputs).forEach(([option, input]) => {
+    input.checked = !!(settings.dupNormalize && settings.dupNormalize[option]);
+    input.addEventListener('change', async () => {
+      settings.dupNormalize = { ...settings.dupNormalize, [option]: input.checked };
+      await setSettings({ dupNormalize: settings.dupNormalize });
+      renderDupGroups();
+    });
+  });
+  syncDupStrategyControls();
+
+  dupStrategy.addEventListener('change', async () => {
+    syncDupStrategyControls();
+    await setSettings({ dupStrategy: dupStrategy.value });
+    renderDupGroups();
+  });
+
+  dupCustomPattern.addEventListener('change', async () => {
+    const pattern = dupCustomPattern.value.trim();
+    try {
+      new RegExp(pattern);
+    } catch (e) {
+      alert(`Invalid regex: ${e.message}`);
+      return;
+    }
+    await setSettings({ dupCustomPattern: pattern });
+    renderDupGroups();
+  });
+
   renderDupGroups();
 
+  // Close true duplicates: preview, run, undo
+  const dupCleanupPreview = document.getElementById('dupCleanupPreview');
+  const dupCleanupRun = document.getElementById('dupCleanupRun');
+  const dupCleanupUndo = document.getElementById('dupCleanupUndo');
+  const dupCleanupStatus = document.getElementById('dupCleanupStatus');
+  const dupCleanupList = document.getElementById('dupCleanupList');
+  let dupCleanupTabIds = [];
+
+  async function renderDupCleanupUndo() {
+    const response = await rpc('getDuplicateUndo');
+    const undo = response && response.undo;
+    dupCleanupUndo.style.display = undo ? '' : 'none';
+    if (undo) {
+      dupCleanupUndo.textContent = `Undo (reopen ${undo.tabs.length})`;
+      dupCleanupStatus.textContent = `Closed ${undo.tabs.length} duplicate tab${undo.tabs.length === 1 ? '' : 's'} at ${formatRefreshTime(undo.closedAt)}`;
+    }
+  }
+
+  dupCleanupPreview.addEventListener('click', async () => {
+    const response = await rpc('previewDuplicateCleanup');
+    const groups = (response && response.groups) || [];
+    dupCleanupTabIds = groups.flatMap(group => group.close.map(tab => tab.id));
+    const count = dupCleanupTabIds.length;
+    renderDuplicateCleanupPreview(dupCleanupList, groups, focusTab);
+    dupCleanupStatus.textContent = count ? `${count} tab${count === 1 ? '' : 's'} would be closed` : '';
+    dupCleanupRun.disabled = count === 0;
+    dupCleanupRun.textContent = count ? `Close ${count} duplicate${count === 1 ? '' : 's'}` : 'Close duplicates';
+  });
+
+  dupCleanupRun.addEventListener('click', async () => {
+    dupCleanupRun.disabled = true;
+    const result = await rpc('closeTrueDuplicates', { tabIds: dupCleanupTabIds });
+    dupCleanupTabIds = [];
+    if (result && result.error) alert(`Failed to close duplicates: ${result.error}`);
+    dupCleanupList.innerHTML = '';
+    dupCleanupRun.textContent = 'Close duplicates';
+    await renderDupCleanupUndo();
+    renderDupGroups();
+  });
+
+  dupCleanupUndo.addEventListener('click', async () => {
+    const result = await rpc('undoDuplicateCleanup');
+    if (!result || !result.success) alert((result && result.error) || 'Failed to reopen tabs');
+    dupCleanupStatus.textContent = result && result.success ? `Reopened ${result.reopened} tab${result.reopened === 1 ? '' : 's'}` : '';
+    dupCleanupUndo.style.display = 'none';
+    renderDupGroups();
+  });
+
+  renderDupCleanupUndo();
+
+  // Automatic duplicate prevention
+  const dupAuto = document.getElementById('dupAuto');
+  dupAuto.checked = !!settings.dupAuto;
+  dupAuto.addEventListener('change', async () => {
+    await setSettings({ dupAuto: dupAuto.checked });
+  });
+
+  [['dupAutoAllow', 'dupAutoAllowDomain', 'dupAutoAllowAdd', 'dupAutoAllowList'],
+   ['dupAutoDeny', 'dupAutoDenyDomain', 'dupAutoDenyAdd', 'dupAutoDenyList']].forEach(([setting, inputId, addId, listId]) => {
+    const input = document.getElementById(inputId);
+    const listEl = document.getElementById(listId);
+
+    function renderDomains() {
+      renderProtectList(listEl, settings[setting], async (idx) => {
+        settings[setting].splice(idx, 1);
+        await setSettings({ [setting]: settings[setting] });
+        renderDomains();
+      });
+    }
+
+    document.getElementById(addId).addEventListener('click', async () => {
+      const domain = input.value.trim().toLowerCase();
+      if (!domain) return;
+      settings[setting] = settings[setting] || [];
+      if (!settings[setting].includes(domain)) {
+        settings[setting].push(domain);
+        await setSettings({ [setting]: settings[setting] });
+        renderDomains();
+      }
+      input.value = '';
+    });
+    renderDomains();
+  });
+
   dupRefresh.addEventListener('click', renderDupGroups);
   dupAlignAll.addEventListener('click', async () => {
     await alignAllByHostname();
@@ -2,17 +2,51 @@
 // Purpose: prevent accidental close/reload on configured domains using beforeunload
 // Note: Chrome only shows beforeunload prompts after a user gesture on the page.
 // To make behavior consistent after refresh, we install the handler after the first user gesture.
+// Once installed, the prompt is only armed while a field holds unsaved edits
+// (unless protectDirtyOnly is off) and disarmed again after the form is submitted.
+// It also tracks typing and edited fields so auto-refresh can skip tabs with unsaved work,
+// and reports the scroll position of protected pages so a closed tab can be restored in place.
+// On protected pages, text being typed is also snapshotted to the background as a draft
+// (a few seconds after typing, and every 15s as a backstop) that the popup can restore
+// after a crash or forced close.
+// The background can lift protection for a while ("allow closing this tab"); the
+// prompt stays disarmed until that override expires.
 
 (function() {
   let userInteracted = false;
   let protectInstalled = false;
+  let lastInputAt = 0;
+  // Fields the user has typed into; only these can hold unsaved edits
+  const touchedFields = new Set();
+  // Field value when the user started editing it (or after it was submitted)
+  const fieldBaselines = new WeakMap();
+  let protectDirtyOnly = true;
+  let armed = false;
+  // Last state sent to the background, which decides from it whether a
+  // tab-strip close (no prompt possible) lost something worth restoring
+  let reportedState = '';
+  let armCheckTimer = null;
+  let draftTimer = null;
+  let draftSaved = false;
+  let lastDraftJson = '';
+  const DRAFT_SNAPSHOT_DELAY_MS = 3000;
+  // Backstop for edits that fire no input event (rich-text editors, app scripts)
+  const DRAFT_SNAPSHOT_INTERVAL_MS = 15000;
+  let draftInterval = null;
+  let activeProtectDomains = [];
+  // [{ id, domain, path, dirtyOnly, titlePattern }]; conditions are checked at unload time
+  let activeProtectRules = [];
+  let scrollReportTimer = null;
+  // Protection is lifted until this time (ms); 0 when there's no override
+  let bypassUntil = 0;
+  let bypassTimer = null;
 
   function getSettings() {
     return new Promise(resolve => {
       try {
-        chrome.storage.sync.get({ protectDomains: [] }, resolve);
+        chrome.storage.sync.get({ protectDomains: [], protectRules: [], protectDirtyOnly: true }, resolve);
       } catch (e) {
-        resolve({ protectDomains: [] });
+        resolve({ protectDomains: [], protectRules: [], protectDirtyOnly: true });
       }
     });
   }
@@ -25,8 +59,426 @@
     return h === d || h.endsWith('.' + d);
   }
 
-  function shouldProtect(hostname, protectDomains) {
-    return Array.isArray(protectDomains) && protectDomains.some(d => hostnameMatches(hostname, d));
+  function protectRulesForHost(hostname, protectRules) {
+    return (protectRules || []).filter(rule => hostnameMatches(hostname, rule.domain));
+  }
+
+  // Whether the host has any protection at all; rules may still decline at unload time
+  function shouldProtect(hostname, protectDomains, protectRules = activeProtectRules) {
+    return (Array.isArray(protectDomains) && protectDomains.some(d => hostnameMatches(hostname, d))) ||
+      protectRulesForHost(hostname, protectRules).length > 0;
+  }
+
+  function globMatches(glob, value) {
+    const source = glob
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*')
+      .replace(/\?/g, '.');
+    return new RegExp(`^${source}$`, 'i').test(value);
+  }
+
+  function protectRuleApplies(rule) {
+    if (rule.path && !globMatches(rule.path, location.pathname)) return false;
+    if (rule.titlePattern) {
+      try {
+        if (!new RegExp(rule.titlePattern, 'i').test(document.title)) return false;
+      } catch (e) {
+        return false;
+      }
+    }
+    if (rule.dirtyOnly && countDirtyFields() === 0) return false;
+    return true;
+  }
+
+  function domainProtected() {
+    return activeProtectDomains.some(d => hostnameMatches(location.hostname, d));
+  }
+
+  // Decided when the page is about to unload, so the route, title and unsaved
+  // edits at that moment are what count (single-page apps change all three)
+  function protectionApplies() {
+    if (protectionBypassed()) return false;
+    if (domainProtected() && (!protectDirtyOnly || countDirtyFields() > 0)) return true;
+    return protectRulesForHost(location.hostname, activeProtectRules).some(protectRuleApplies);
+  }
+
+  // Whether the prompt should be armed right now. Path and title conditions
+  // can change without any event, so only the dirty state gates arming; the
+  // rest is re-checked by protectionApplies() when the page unloads.
+  function protectionMayApply() {
+    if (protectionBypassed()) return false;
+    const dirty = countDirtyFields() > 0;
+    if (domainProtected() && (!protectDirtyOnly || dirty)) return true;
+    return protectRulesForHost(location.hostname, activeProtectRules).some(rule => !rule.dirtyOnly || dirty);
+  }
+
+  function protectionBypassed() {
+    return bypassUntil > Date.now();
+  }
+
+  // Re-arm by itself when the override runs out
+  function setProtectBypass(until) {
+    bypassUntil = until || 0;
+    clearTimeout(bypassTimer);
+    bypassTimer = protectionBypassed() ? setTimeout(syncArmed, bypassUntil - Date.now() + 50) : null;
+    console.log(`[ProtectClose] ${protectionBypassed() ? `Protection lifted until ${new Date(bypassUntil).toLocaleTimeString()}` : 'Protection override cleared'}`);
+    syncArmed();
+  }
+
+  // Inputs whose value is never worth a prompt
+  const IGNORED_INPUT_TYPES = ['hidden', 'password', 'search', 'submit', 'button', 'reset', 'image', 'file'];
+
+  function editableRoot(el) {
+    if (!el || el.nodeType !== 1) return null;
+    if (el.matches('textarea')) return el;
+    if (el.matches('input')) return IGNORED_INPUT_TYPES.includes(el.type) ? null : el;
+    if (el.isContentEditable) {
+      let root = el;
+      while (root.parentElement && root.parentElement.isContentEditable) root = root.parentElement;
+      return root;
+    }
+    return null;
+  }
+
+  function fieldValue(el) {
+    if (el.isContentEditable) return el.textContent.trim();
+    if (el.type === 'checkbox' || el.type === 'radio') return String(el.checked);
+    return el.value;
+  }
+
+  function defaultFieldValue(el) {
+    if (el.isContentEditable) return '';
+    if (el.type === 'checkbox' || el.type === 'radio') return String(el.defaultChecked);
+    return el.defaultValue;
+  }
+
+  // Compared with the value the field had when editing started rather than
+  // defaultValue, which frameworks like React keep in sync with the value
+  function isFieldDirty(el) {
+    if (!el.isConnected) return false;
+    return fieldValue(el) !== fieldBaselines.get(el);
+  }
+
+  function countDirtyFields() {
+    let count = 0;
+    for (const el of touchedFields) {
+      if (!el.isConnected) {
+        touchedFields.delete(el);
+      } else if (isFieldDirty(el)) {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  function recordBaseline(e) {
+    const field = editableRoot(e.target);
+    if (field && !fieldBaselines.has(field)) fieldBaselines.set(field, fieldValue(field));
+  }
+
+  function recordInput(e) {
+    lastInputAt = Date.now();
+    const field = editableRoot(e.target);
+    if (!field) return;
+    if (!fieldBaselines.has(field)) {
+      // Edited without focusing first (autofill, scripts)
+      fieldBaselines.set(field, defaultFieldValue(field));
+    }
+    touchedFields.add(field);
+    syncArmed();
+    scheduleDraftSnapshot();
+  }
+
+  // Submitted values are saved: they become the new baseline
+  function recordSubmit(e) {
+    const form = e.target;
+    for (const field of touchedFields) {
+      if (form.contains(field)) {
+        fieldBaselines.set(field, fieldValue(field));
+        touchedFields.delete(field);
+      }
+    }
+    console.log('[ProtectClose] Form submitted, edits saved');
+    syncArmed();
+    scheduleDraftSnapshot();
+  }
+
+  // Identifies a field across reloads: its id/name/label, else its position
+  // among fields of the same kind
+  function fieldKey(el) {
+    const kind = el.isContentEditable ? 'editable' : el.tagName.toLowerCase();
+    const name = el.getAttribute('name') || el.getAttribute('aria-label') ||
+      el.getAttribute('data-test-id') || el.getAttribute('placeholder') || el.id;
+    if (name) return `${kind}:${name}`;
+    return `${kind}#${draftCandidates().filter(c => c.kind === kind).findIndex(c => c.el === el)}`;
+  }
+
+  function draftCandidates() {
+    return Array.from(document.querySelectorAll('textarea, input, [contenteditable]'))
+      .map(editableRoot)
+      .filter((el, idx, all) => el && all.indexOf(el) === idx)
+      .map(el => ({ el, kind: el.isContentEditable ? 'editable' : el.tagName.toLowerCase() }));
+  }
+
+  function fieldLabel(el) {
+    return el.getAttribute('aria-label') || el.getAttribute('placeholder') || el.getAttribute('name') || 'Text';
+  }
+
+  // Send the unsaved text on this page to the background. A page whose
+  // edits were all submitted or cleared drops its draft.
+  function snapshotDraft() {
+    draftTimer = null;
+    if (!shouldProtect(location.hostname, activeProtectDomains)) return;
+
+    const fields = [];
+    for (const el of touchedFields) {
+      if (!isFieldDirty(el) || el.type === 'checkbox' || el.type === 'radio') continue;
+      const text = el.isContentEditable ? el.innerText.trim() : el.value;
+      if (text.trim()) fields.push({ key: fieldKey(el), label: fieldLabel(el), text });
+    }
+
+    const json = JSON.stringify(fields);
+    if (json === lastDraftJson) return;
+    lastDraftJson = json;
+
+    try {
+      if (fields.length > 0) {
+        chrome.runtime.sendMessage({ type: 'saveDraft', url: location.href, title: document.title, fields });
+        draftSaved = true;
+      } else if (draftSaved) {
+        chrome.runtime.sendMessage({ type: 'discardDraft', url: location.href });
+        draftSaved = false;
+      }
+    } catch (e) {
+      // Ignore if background is not available
+    }
+  }
+
+  function scheduleDraftSnapshot() {
+    if (!draftTimer) draftTimer = setTimeout(snapshotDraft, DRAFT_SNAPSHOT_DELAY_MS);
+  }
+
+  // Fields the user focused whose text changed without an input event are
+  // picked up here; unchanged snapshots cost nothing (see lastDraftJson)
+  function periodicDraftSnapshot() {
+    for (const { el } of draftCandidates()) {
+      if (!touchedFields.has(el) && fieldBaselines.has(el) && isFieldDirty(el)) {
+        touchedFields.add(el);
+        syncArmed();
+      }
+    }
+    clearTimeout(draftTimer);
+    snapshotDraft();
+  }
+
+  function syncDraftInterval() {
+    const wanted = shouldProtect(location.hostname, activeProtectDomains);
+    if (wanted && !draftInterval) {
+      draftInterval = setInterval(periodicDraftSnapshot, DRAFT_SNAPSHOT_INTERVAL_MS);
+    } else if (!wanted && draftInterval) {
+      clearInterval(draftInterval);
+      draftInterval = null;
+    }
+  }
+
+  // Put draft text back, using the page's own input events so the app
+  // notices. Fields rendered late by the app are waited for.
+  function restoreDraftFields(fields, timeoutMs = 10000) {
+    return new Promise(resolve => {
+      const started = Date.now();
+      const attempt = () => {
+        const candidates = draftCandidates();
+        const pending = fields.filter(field => !field.restored);
+        for (const field of pending) {
+          let target = candidates.find(c => fieldKey(c.el) === field.key);
+          // Generated ids differ between loads; a lone reply box is still unambiguous
+          if (!target && fields.length === 1) {
+            const kind = field.key.split(/[:#]/)[0];
+            const sameKind = candidates.filter(c => c.kind === kind);
+            if (sameKind.length === 1) target = sameKind[0];
+          }
+          if (target) {
+            fillField(target.el, field.text);
+            field.restored = true;
+          }
+        }
+
+        const restored = fields.filter(field => field.restored).length;
+        if (restored === fields.length || Date.now() - started >= timeoutMs) {
+          resolve({ success: restored > 0, restored, total: fields.length });
+          return;
+        }
+        setTimeout(attempt, 500);
+      };
+      attempt();
+    });
+  }
+
+  function fillField(el, text) {
+    el.focus();
+    if (el.isContentEditable) {
+      // insertText goes through the editor's own input handling
+      const selection = window.getSelection();
+      const range = document.createRange();
+      range.selectNodeContents(el);
+      selection.removeAllRanges();
+      selection.addRange(range);
+      if (!document.execCommand('insertText', false, text)) el.textContent = text;
+    } else {
+      const proto = el.tagName === 'TEXTAREA' ? HTMLTextAreaElement.prototype : HTMLInputElement.prototype;
+      Object.getOwnPropertyDescriptor(proto, 'value').set.call(el, text);
+      el.dispatchEvent(new Event('input', { bubbles: true }));
+      el.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+  }
+
+  function onBeforeUnload(e) {
+    if (!protectionApplies()) return;
+    e.preventDefault();
+    e.returnValue = '';
+    return '';
+  }
+
+  // Add or remove the beforeunload listener to match the current edits. Apps
+  // like Zendesk clear their composer on send without a submit event, so
+  // while armed the state is also re-checked on a timer and after clicks.
+  function syncArmed() {
+    const shouldArm = protectInstalled && protectionMayApply();
+    if (shouldArm !== armed) {
+      armed = shouldArm;
+      if (armed) {
+        window.addEventListener('beforeunload', onBeforeUnload);
+      } else {
+        window.removeEventListener('beforeunload', onBeforeUnload);
+      }
+      console.log(`[ProtectClose] Close prompt ${armed ? 'armed' : 'disarmed'}`);
+    }
+
+    // Path and title conditions only settle at unload, so report them too.
+    // Nothing to report before the first gesture or on unprotected hosts.
+    if (protectInstalled && shouldProtect(location.hostname, activeProtectDomains)) {
+      const applies = armed && protectionApplies();
+      const dirtyFields = countDirtyFields();
+      const state = `${armed}/${applies}/${dirtyFields}`;
+      if (state !== reportedState) {
+        reportedState = state;
+        try {
+          chrome.runtime.sendMessage({ type: 'protectCloseArmed', installed: protectInstalled, armed, applies, dirtyFields });
+        } catch (e) {
+          // Ignore if background is not available
+        }
+      }
+    }
+
+    // Text sent or cleared without a submit event: drop the stale draft
+    if (draftSaved && countDirtyFields() === 0) scheduleDraftSnapshot();
+
+    if (armed && !armCheckTimer) {
+      armCheckTimer = setInterval(syncArmed, 2000);
+    } else if (!armed && armCheckTimer) {
+      clearInterval(armCheckTimer);
+      armCheckTimer = null;
+    }
+  }
+
+  // Throttled: the background only needs the position at close time
+  function reportScroll() {
+    if (scrollReportTimer || !shouldProtect(location.hostname, activeProtectDomains)) return;
+    scrollReportTimer = setTimeout(() => {
+      scrollReportTimer = null;
+      try {
+        chrome.runtime.sendMessage({ type: 'protectScrollSnapshot', scrollX: window.scrollX, scrollY: window.scrollY });
+      } catch (e) {
+        // Ignore if background is not available
+      }
+    }, 1000);
+  }
+
+  function restoreScroll(x, y) {
+    // The page may still be laying out; try again as it grows
+    [0, 500, 1500, 3000].forEach(delay => setTimeout(() => window.scrollTo(x, y), delay));
+  }
+
+  window.addEventListener('scroll', reportScroll, { passive: true });
+  document.addEventListener('focusin', recordBaseline, true);
+  document.addEventListener('input', recordInput, true);
+  document.addEventListener('change', recordInput, true);
+  document.addEventListener('submit', recordSubmit, true);
+  document.addEventListener('click', () => {
+    if (armed) setTimeout(syncArmed, 500);
+  }, true);
+  document.addEventListener('keydown', () => { lastInputAt = Date.now(); }, true);
+
+  // HTTP status of the page load (Chrome 109+), so auto-refresh can back off on errors
+  function navigationResponseStatus() {
+    try {
+      const [entry] = performance.getEntriesByType('navigation');
+      return (entry && entry.responseStatus) || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Text of the elements an auto-refresh rule watches. Single-page apps render
+  // after load, so keep polling until something shows up or time runs out.
+  function readWatchedText(selector, timeoutMs) {
+    return new Promise(resolve => {
+      const started = Date.now();
+      const poll = () => {
+        let elements;
+        try {
+          elements = Array.from(document.querySelectorAll(selector));
+        } catch (e) {
+          resolve({ error: e.message });
+          return;
+        }
+        const value = elements
+          .map(el => el.textContent.replace(/\s+/g, ' ').trim())
+          .filter(Boolean)
+          .join(' | ')
+          .slice(0, 500);
+        if (value || Date.now() - started >= timeoutMs) {
+          resolve({ value, count: elements.length });
+          return;
+        }
+        setTimeout(poll, 250);
+      };
+      poll();
+    });
+  }
+
+  // Answer the background's auto-refresh requests right away, even before settings load
+  try {
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (message.type === 'refreshProbe') {
+        sendResponse({
+          dirtyFields: countDirtyFields(),
+          sinceInputMs: lastInputAt ? Date.now() - lastInputAt : null,
+          focused: document.hasFocus(),
+          responseStatus: navigationResponseStatus()
+        });
+      } else if (message.type === 'restoreDraft') {
+        restoreDraftFields(message.fields).then(sendResponse);
+        return true; // Keep message channel open for async response
+      } else if (message.type === 'protectRestoreScroll') {
+        restoreScroll(message.scrollX, message.scrollY);
+        sendResponse({ success: true });
+      } else if (message.type === 'refreshWatch') {
+        readWatchedText(message.selector, message.timeoutMs).then(sendResponse);
+        return true; // Keep message channel open for async response
+      } else if (message.type === 'protectOverride') {
+        setProtectBypass(message.until);
+        sendResponse({ success: true });
+      }
+    });
+
+    // An override outlives reloads of the tab, so ask for it on every load
+    chrome.runtime.sendMessage({ type: 'getProtectOverride' }, response => {
+      void chrome.runtime.lastError;
+      if (response && response.until) setProtectBypass(response.until);
+    });
+  } catch (e) {
+    // Ignore if the extension context is gone
   }
 
   function installBeforeUnload() {
@@ -44,14 +496,13 @@
       // Ignore if background is not available
     }
     
-    window.addEventListener('beforeunload', function(e) {
-      e.preventDefault();
-      e.returnValue = '';
-      return '';
-    });
+    syncArmed();
   }
 
   function ensureInstalledIfAllowed(protectDomains) {
+    activeProtectDomains = protectDomains || [];
+    syncArmed();
+    syncDraftInterval();
     const host = location.hostname;
     if (!shouldProtect(host, protectDomains)) return;
 
@@ -81,6 +532,8 @@
       console.log('  Protected:', protected);
       console.log('  User interacted:', userInteracted);
       console.log('  Protection installed:', window.__sto_protect_installed);
+      console.log('  Unsaved fields:', countDirtyFields());
+      console.log('  Prompt armed:', armed);
       
       if (protected && !window.__sto_protect_installed && userInteracted) {
         console.log('[ProtectClose] Installing protection now...');
@@ -94,28 +547,34 @@
   (async () => {
     try {
       // Try multiple times to get settings in case of sync issues
-      let { protectDomains = [] } = await getSettings();
+      let { protectDomains = [], protectRules = [], protectDirtyOnly: dirtyOnly = true } = await getSettings();
+      activeProtectRules = protectRules;
+      protectDirtyOnly = dirtyOnly;
       
       // Log initial attempt
-      console.log('[ProtectClose] Initial settings load:', protectDomains);
+      console.log('[ProtectClose] Initial settings load:', protectDomains, protectRules);
       
       // If empty, retry multiple times with increasing delays
-      if (protectDomains.length === 0) {
+      if (protectDomains.length === 0 && protectRules.length === 0) {
         const delays = [500, 1000, 2000];
         for (const delay of delays) {
           console.log(`[ProtectClose] Retrying settings load after ${delay}ms...`);
           await new Promise(resolve => setTimeout(resolve, delay));
           const retry = await getSettings();
+          if (retry.protectRules && retry.protectRules.length > 0) {
+            activeProtectRules = retry.protectRules;
+          }
           if (retry.protectDomains && retry.protectDomains.length > 0) {
             protectDomains = retry.protectDomains;
             console.log('[ProtectClose] Settings loaded after retry:', protectDomains);
             break;
           }
+          if (activeProtectRules.length > 0) break;
         }
       }
       
       // Final check - also try direct storage access
-      if (protectDomains.length === 0) {
+      if (protectDomains.length === 0 && activeProtectRules.length === 0) {
         try {
           const direct = await chrome.storage.sync.get('protectDomains');
           protectDomains = direct.protectDomains || [];
@@ -149,7 +608,17 @@
       // React live to domain list changes
       try {
         chrome.storage.onChanged.addListener((changes, area) => {
-          if (area !== 'sync' || !changes.protectDomains) return;
+          if (area !== 'sync') return;
+          if (changes.protectDirtyOnly) {
+            protectDirtyOnly = changes.protectDirtyOnly.newValue !== false;
+            syncArmed();
+          }
+          if (changes.protectRules) {
+            activeProtectRules = changes.protectRules.newValue || [];
+            console.log('[ProtectClose] Protection rules changed:', activeProtectRules);
+            ensureInstalledIfAllowed(activeProtectDomains);
+          }
+          if (!changes.protectDomains) return;
           const next = changes.protectDomains.newValue || [];
           
           console.log('[ProtectClose] Storage changed:', next);
@@ -172,6 +641,10 @@
         
         // Also listen for direct messages from background
         chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+          if (message.type === 'settingsUpdated' && message.protectRules) {
+            activeProtectRules = message.protectRules;
+            ensureInstalledIfAllowed(activeProtectDomains);
+          }
           if (message.type === 'settingsUpdated' && message.protectDomains) {
             console.log('[ProtectClose] Settings updated via message:', message.protectDomains);
             